@@ -16,11 +16,26 @@
  * @param {Object} notary An object that implements the digital notary API.
  * @param {Object} repository An object that implements the document repository API.
  * @param {Object} compiler An object that implements the procedure compiler API.
+ * @param {Object} options An optional object containing configuration options for the API.
+ * For backward compatibility the options may be omitted and the debug flag passed in their
+ * place.
  * @param {Boolean} debug An optional flag that determines whether or not exceptions
  * will be logged to the error console.
  * @returns {Object} A singleton object containing the initialized Bali Nebula™ API.
  */
-exports.api = function(notary, repository, compiler, debug) {
-    const api = require('./src/NebulaAPI').api(notary, repository, compiler, debug);
+exports.api = function(notary, repository, compiler, options, debug) {
+    if (typeof options === 'boolean') {
+        debug = options;
+        options = undefined;
+    }
+    const api = require('./src/NebulaAPI').api(notary, repository, compiler, options, debug);
     return api;
 };
+
+
+/**
+ * This object provides functions that extend a local or remote document repository with
+ * implementations of the optional capabilities used by the Bali Nebula™ API that it does
+ * not support natively, e.g. <code>extensions.local(repository, directory, debug)</code>.
+ */
+exports.extensions = require('./src/RepositoryExtensions');
@@ -16,6 +16,8 @@
  * that objects implementing the digital notary API, the document repository API, and
  * the procedure compiler API be passed into the constructor.
  */
+const fs = require('fs');
+const crypto = require('crypto');
 const bali = require('bali-component-framework');
 const EOF = '\n';
 
@@ -26,17 +28,524 @@ const EOF = '\n';
  * @param {Object} notary An object that implements the API for the digital notary.
  * @param {Object} repository An object that implements the API for the document repository.
  * @param {Object} compiler An object that implements the API for the procedure compiler.
+ * @param {Object} options An optional object containing configuration options for the API:
+ * <pre>
+ *   cache: false to disable the local cache, or an object specifying the maximum number
+ *          of cached citations and documents, e.g. {citations: 256, documents: 256}, and
+ *          optionally a directory in which validated documents are persisted between runs,
+ *          e.g. {directory: '~/.bali/cache/'}
+ *   drafts: an object specifying the draft retention policy, i.e. the number of days a
+ *          draft may go without being saved before it expires, and whether or not expired
+ *          drafts should be archived rather than deleted, e.g. {retention: 30, archive: true}
+ *   logger: an object with a warn(message) function that is used to report warnings, e.g.
+ *          the use of deprecated names (defaults to the console)
+ *   evaluator: an object with an isAllowed(policy, owner, accountTag, operation) function
+ *          that evaluates the access-control policies named by the $permissions parameter
+ *          of each document (defaults to a local policy evaluator)
+ *   queues: an object specifying the name of the configuration document that defines the
+ *          system queues and/or overrides for the queues themselves, e.g.
+ *          {configuration: '/acme/configurations/Queues/v2', send: '#JXT095QY...', event: tag},
+ *          and optionally the queue on which replies to requests are received (defaults to a
+ *          new queue for each client), e.g. {reply: '#4D2AZ1RC...'}
+ *   deadLetters: an object mapping queues to their redelivery limit and the dead-letter
+ *          queue to which their undeliverable messages are moved, e.g.
+ *          {'#JXT095QY...': {limit: 5, queue: '#3RMGDVN7...'}}
+ *   encryption: true to encrypt the components of private documents (including account
+ *          documents, drafts and archived drafts) at rest for their owner and recipients,
+ *          which requires a digital notary that supports encryptComponent and
+ *          decryptComponent (defaults to false, leaving private documents protected by
+ *          their permissions alone)
+ * </pre>
+ * For backward compatibility the options may be omitted and the debug flag passed in
+ * their place, e.g. api(notary, repository, compiler, true).
  * @param {Boolean} debug An optional flag that determines whether or not exceptions
  * will be logged to the error console.
  * @returns {Object} An object that implements the API for the Bali Nebula™.
  */
-exports.api = function(notary, repository, compiler, debug) {
+exports.api = function(notary, repository, compiler, options, debug) {
     // validate the parameters
+    if (typeof options === 'boolean') {
+        debug = options;
+        options = undefined;
+    }
+    options = options || {};
     debug = debug || false;
 
-    // TODO: these need to be shared with the virtual machine
-    const SEND_QUEUE_ID = 'JXT095QY01HBLHPAW04ZR5WSH41MWG4H';
-    const EVENT_QUEUE_ID = '3RMGDVN7D6HLAPFXQNPF7DV71V3MAL43';
+    // each instance of the API has its own local cache
+    const cache = createCache(notary, repository, options.cache, debug);
+    const logger = options.logger || console;
+    const evaluator = options.evaluator || createEvaluator(debug);
+
+    // the system queues are resolved once from the (shared) configuration document
+    var queues;
+    const resolveQueues = async function() {
+        if (!queues) {
+            queues = fetchQueues(notary, repository, cache, options.queues, debug).catch(function(cause) {
+                queues = undefined;  // try again next time
+                throw cause;
+            });
+        }
+        return await queues;
+    };
+
+    // replies are matched to pending requests using their correlation identifiers, and any
+    // reply that is invalid or was not signed by the owner of the target is dropped, only a
+    // failure to read the reply queue itself fails the pending requests
+    const pending = new Map();
+    var polling = false;
+    const pollReplies = async function() {
+        if (polling) return;
+        polling = true;
+        try {
+            const queueId = (await resolveQueues()).reply;
+            while (pending.size) {
+                const source = await repository.dequeueMessage(queueId);
+                if (!source) {
+                    await sleep(POLLING_INTERVAL);
+                    continue;
+                }
+                try {
+                    const document = bali.parse(source);
+                    const reply = document.getValue('$component');
+                    const correlationId = reply.getValue('$correlationId');
+                    const request = correlationId ? pending.get(correlationId.toString()) : undefined;
+                    if (request && await isSignedBy(document, request.owner)) {
+                        // replies to requests that have already timed out are dropped
+                        pending.delete(correlationId.toString());
+                        clearTimeout(request.timer);
+                        request.resolve(reply);
+                    }
+                } catch (cause) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$pollReplies',
+                        $exception: '$invalidReply',
+                        $queue: queueId,
+                        $text: bali.text('An invalid reply was dropped.')
+                    }, cause);
+                    if (debug) console.error(exception.toString());
+                }
+            }
+        } catch (cause) {
+            pending.forEach(function(request) {
+                clearTimeout(request.timer);
+                request.reject(cause);
+            });
+            pending.clear();
+        } finally {
+            polling = false;
+        }
+    };
+
+    // the account must be activated before the rest of the API can be used
+    var activated = false;
+    const verifyActivation = async function(procedure) {
+        if (activated) return;
+        const account = await fetchAccount(notary, repository, cache, debug);
+        if (account && account.getValue('$component').getValue('$certificate')) {
+            activated = true;
+            return;
+        }
+        const exception = bali.exception({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: procedure,
+            $exception: '$accountInactive',
+            $accountTag: notary.getAccountTag(),
+            $text: bali.text('The account has not been activated.')
+        });
+        if (debug) console.error(exception.toString());
+        throw exception;
+    };
+
+    // access to a document is governed by the policy named by its $permissions parameter,
+    // or by an access grant from its owner (which is returned if it was needed)
+    const authorizeAccess = async function(procedure, citation, document, operation) {
+        const component = document.getValue('$component');
+        const type = component.getParameters().getValue('$type');
+        if (operation === '$retrieve' && type && type.toString() === ENCRYPTED &&
+                component.getValue('$keys').getValue(notary.getAccountTag())) {
+            return;  // the private document was encrypted for the account
+        }
+        const permissions = component.getParameters().getValue('$permissions');
+        const policy = await fetchPolicy(notary, repository, cache, permissions, debug);
+        const owner = await fetchSigner(repository, document);
+        if (await evaluator.isAllowed(policy, owner, notary.getAccountTag(), operation)) return;
+        const grant = await fetchGrant(notary, repository, cache, citation, owner, notary.getAccountTag(), debug);
+        if (grantAllows(grant, operation)) return grant;
+        const exception = bali.exception({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: procedure,
+            $exception: '$notAuthorized',
+            $accountTag: notary.getAccountTag(),
+            $permissions: permissions,
+            $operation: operation,
+            $text: bali.text('The account is not allowed to access the document.')
+        });
+        if (debug) console.error(exception.toString());
+        throw exception;
+    };
+
+    const isSignedBy = async function(document, accountTag) {
+        try {
+            await validateDocument(notary, repository, cache, document, debug);
+            return (await fetchSigner(repository, document)).isEqualTo(accountTag);
+        } catch (cause) {
+            return false;  // the document is not validly signed
+        }
+    };
+
+    // undeliverable messages are moved to the dead-letter queue linked to their queue
+    const deadLetterPolicy = function(procedure, queue, required) {
+        const policies = options.deadLetters || {};
+        const policy = policies['#' + queue.getValue()] || policies[queue.getValue()];
+        if (!policy && required) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: procedure,
+                $exception: '$noDeadLetterQueue',
+                $queue: queue,
+                $text: bali.text('No dead-letter queue has been linked to the queue.')
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+        if (!policy) return;
+        return {
+            limit: policy.limit || MAXIMUM_DELIVERIES,
+            queueId: policy.queue.getValue ? policy.queue.getValue() : policy.queue.toString().replace(/^#/, '')
+        };
+    };
+
+    const deadLetter = async function(queue, policy, document, reason, deliveries, cause) {
+        const record = bali.catalog({
+            $queue: queue,
+            $reason: reason,
+            $deliveries: deliveries || 1,
+            $exception: cause ? bali.text(cause.toString()) : bali.pattern.NONE,
+            $message: document,
+            $deadLettered: bali.moment()
+        }, bali.parameters({
+            $type: '/bali/composites/DeadLetter/v1',
+            $tag: bali.tag(),
+            $version: bali.version(),
+            $permissions: '/bali/permissions/public/v1',
+            $previous: bali.pattern.NONE
+        }));
+        await repository.queueMessage(policy.queueId, await notary.signComponent(record));
+    };
+
+    // the next valid message is received from the queue along with its lease (if one was
+    // requested), moving any undeliverable messages to the linked dead-letter queue
+    const receiveDocument = async function(procedure, queue, options) {
+        const deadline = Date.now() + (options.wait || 0) * 1000;
+        const queueId = queue.getValue();
+        const policy = deadLetterPolicy(procedure, queue);
+        if (options.lease) verifyCapability(repository, 'leaseMessage', procedure, debug);
+        while (true) {
+            var lease = null;
+            var document, deliveries;
+            if (options.lease) {
+                const source = await repository.leaseMessage(queueId, options.lease);
+                if (!source) {
+                    if (Date.now() >= deadline) return;
+                    await sleep(POLLING_INTERVAL);
+                    continue;
+                }
+                lease = bali.parse(source);
+                document = lease.getValue('$message');
+                deliveries = lease.getValue('$deliveries') ? Number(lease.getValue('$deliveries').toString()) : 1;
+            } else {
+                const source = await repository.dequeueMessage(queueId);
+                if (!source) {
+                    if (Date.now() >= deadline) return;
+                    await sleep(POLLING_INTERVAL);
+                    continue;
+                }
+                document = bali.parse(source);
+                deliveries = 1;
+            }
+
+            // move any undeliverable message to the dead-letter queue
+            var reason = null;
+            var failure = null;
+            if (policy && deliveries > policy.limit) {
+                reason = '$redeliveryLimit';
+            } else {
+                try {
+                    await validateDocument(notary, repository, cache, document);
+                } catch (cause) {
+                    if (!policy) throw cause;
+                    reason = '$invalidMessage';
+                    failure = cause;
+                }
+            }
+            if (reason) {
+                await deadLetter(queue, policy, document, reason, deliveries, failure);
+                if (lease) await repository.acknowledgeMessage(queueId, lease.getValue('$handle').getValue());
+                continue;
+            }
+            return {document: document, lease: lease};
+        }
+    };
+
+    const receivedMessage = function(queue, received) {
+        if (!received.lease) return received.document.getValue('$component');
+        const result = bali.catalog({
+            $message: received.document.getValue('$component'),
+            $lease: bali.catalog({
+                $queue: queue,
+                $handle: received.lease.getValue('$handle'),
+                $expires: received.lease.getValue('$expires')
+            })
+        });
+        return result;
+    };
+
+    // a message that was received but not consumed is placed back on its queue, or its
+    // lease is released (or left to expire if the repository cannot release leases)
+    const restoreMessage = async function(queue, received) {
+        const queueId = queue.getValue();
+        if (!received.lease) {
+            await repository.queueMessage(queueId, received.document);
+        } else if (repository.releaseMessage) {
+            await repository.releaseMessage(queueId, received.lease.getValue('$handle').getValue());
+        }
+    };
+
+    // the records on a dead-letter queue are listed (and validated) without removing them
+    const peekDeadLetters = async function(procedure, policy) {
+        verifyCapability(repository, 'listMessages', procedure, debug);
+        const records = [];
+        const sources = await repository.listMessages(policy.queueId);
+        for (var i = 0; i < sources.length; i++) {
+            const document = bali.parse(sources[i]);
+            await validateDocument(notary, repository, cache, document);
+            records.push(document.getValue('$component'));
+        }
+        return records;
+    };
+
+    // each record is leased from the dead-letter queue, validated and passed to the process
+    // function, and is only removed (by acknowledging its lease) if the function returns
+    // true, otherwise it is released back onto the queue; a record whose lease is neither
+    // acknowledged nor released (e.g. after a crash) is returned once the lease expires
+    const drainDeadLetters = async function(procedure, policy, process) {
+        ['leaseMessage', 'acknowledgeMessage', 'releaseMessage'].forEach(function(capability) {
+            verifyCapability(repository, capability, procedure, debug);
+        });
+        const leases = [];
+        var source = await repository.leaseMessage(policy.queueId, DRAINING_LEASE);
+        while (source) {
+            leases.push(bali.parse(source));
+            source = await repository.leaseMessage(policy.queueId, DRAINING_LEASE);
+        }
+        var failure;
+        for (var i = 0; i < leases.length; i++) {
+            const handle = leases[i].getValue('$handle').getValue();
+            var remove = false;
+            if (!failure) {
+                try {
+                    const document = leases[i].getValue('$message');
+                    await validateDocument(notary, repository, cache, document);
+                    remove = await process(document.getValue('$component'));
+                } catch (cause) {
+                    failure = cause;  // the remaining records must still be released
+                }
+            }
+            if (remove) {
+                await repository.acknowledgeMessage(policy.queueId, handle);
+            } else {
+                await repository.releaseMessage(policy.queueId, handle);
+            }
+        }
+        if (failure) throw failure;
+    };
+
+    const selectRecords = function(tags) {
+        return function(record) {
+            if (!tags) return true;
+            const tag = record.getParameters().getValue('$tag');
+            return tags.some(function(candidate) { return candidate.isEqualTo(tag); });
+        };
+    };
+
+    // when encryption is enabled the component of a private document is encrypted at rest
+    // for its owner and recipients, the owner's certificate may be supplied when it is not
+    // yet (or no longer) cited by the account document
+    const sealComponent = async function(procedure, component, recipients, certificate) {
+        const parameters = component.getParameters();
+        if (!options.encryption || parameters.getValue('$permissions').toString() !== PRIVATE) return component;
+        if (!notary.encryptComponent) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: procedure,
+                $exception: '$notSupported',
+                $text: bali.text('The digital notary does not support encrypting private documents.')
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+
+        // encrypt the component using a new content key
+        const contentKey = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(component.toString(), 'utf8'), cipher.final()]);
+
+        // encrypt the content key for each account using its current certificate
+        const keys = bali.catalog();
+        const accounts = [notary.getAccountTag()].concat(recipients || []);
+        for (var i = 0; i < accounts.length; i++) {
+            if (keys.getValue(accounts[i])) continue;
+            const recipient = (i === 0 && certificate) ||
+                await fetchCertificate(notary, repository, cache, accounts[i], debug);
+            keys.setValue(accounts[i], await notary.encryptComponent(bali.binary(contentKey), recipient));
+        }
+
+        const envelope = bali.catalog({
+            $iv: bali.binary(iv),
+            $auth: bali.binary(cipher.getAuthTag()),
+            $ciphertext: bali.binary(ciphertext),
+            $keys: keys
+        }, bali.parameters({
+            $type: ENCRYPTED,
+            $tag: parameters.getValue('$tag'),
+            $version: parameters.getValue('$version'),
+            $permissions: parameters.getValue('$permissions'),
+            $previous: parameters.getValue('$previous')
+        }));
+
+        // the attributes that bind an account to its certificate must remain readable
+        const type = parameters.getValue('$type');
+        if (type && type.toString() === ACCOUNT) {
+            ['$accountTag', '$certificate'].forEach(function(key) {
+                const value = component.getValue(key);
+                if (value) envelope.setValue(key, value);
+            });
+        }
+        return envelope;
+    };
+
+    const unsealComponent = async function(procedure, component, grant) {
+        const type = component.getParameters().getValue('$type');
+        if (!type || type.toString() !== ENCRYPTED) return component;
+        var key = component.getValue('$keys').getValue(notary.getAccountTag());
+        if (!key && grant) key = grant.getValue('$key');
+        if (!key) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: procedure,
+                $exception: '$notAuthorized',
+                $accountTag: notary.getAccountTag(),
+                $text: bali.text('The private document was not encrypted for the account.')
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+        if (!notary.decryptComponent) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: procedure,
+                $exception: '$notSupported',
+                $text: bali.text('The digital notary does not support decrypting private documents.')
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+        const contentKey = (await notary.decryptComponent(key)).getValue();
+        const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, component.getValue('$iv').getValue());
+        decipher.setAuthTag(component.getValue('$auth').getValue());
+        const ciphertext = component.getValue('$ciphertext').getValue();
+        const source = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+        return bali.parse(source);
+    };
+
+    // each version of the account document is sealed like any other private document, so
+    // the changes are merged into the unsealed component of the current version
+    const commitAccount = async function(procedure, document, account, changes, certificate) {
+        const previousCitation = await notary.citeDocument(document);
+        account = bali.duplicate(account);
+        const parameters = account.getParameters();
+        parameters.setParameter('$version', bali.version.nextVersion(parameters.getValue('$version')));
+        parameters.setParameter('$previous', previousCitation);
+        account.addItems(changes);
+        account = await sealComponent(procedure, account, [], certificate);
+        account = await notary.signComponent(account);
+        const citation = await notary.citeDocument(account);
+        await repository.createDocument(extractComponentId(account.getValue('$component')), account);
+        return citation;
+    };
+
+    // the document (or draft document) referenced by a citation must exist and be valid
+    const fetchCitedDocument = async function(procedure, citation) {
+        const documentId = extractId(citation);
+        const source = await repository.fetchDocument(documentId) || await repository.fetchDraft(documentId);
+        if (!source) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: procedure,
+                $exception: '$documentMissing',
+                $documentId: bali.text(documentId),
+                $text: bali.text('The document referenced by the citation does not exist.')
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+        const document = bali.parse(source);
+        await validateCitation(notary, citation, document, debug);
+        await validateDocument(notary, repository, cache, document, debug);
+        return document;
+    };
+
+    // only the owner of a document may grant or revoke access to it
+    const fetchOwnedDocument = async function(procedure, citation) {
+        const document = await fetchCitedDocument(procedure, citation);
+        if (!(await fetchSigner(repository, document)).isEqualTo(notary.getAccountTag())) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: procedure,
+                $exception: '$notAuthorized',
+                $accountTag: notary.getAccountTag(),
+                $documentId: bali.text(extractId(citation)),
+                $text: bali.text('The document is not owned by the account.')
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+        return document;
+    };
+
+    // a cached document signed using a certificate after it was revoked is discarded
+    const fetchCachedDocument = async function(citation) {
+        const documentId = extractId(citation);
+        const document = await cache.fetchNotarizedDocument(documentId, citation);
+        if (!document) return;
+        const certificateCitation = document.getValue('$certificate');
+        if (!certificateCitation.isEqualTo(bali.pattern.NONE)) {
+            const revoked = await fetchRevocation(notary, repository, cache, certificateCitation, debug);
+            if (revoked && document.getValue('$timestamp').comparedTo(revoked) > 0) {
+                await cache.deleteDocument(documentId);
+                return;
+            }
+        }
+        return document.getValue('$component');
+    };
+
+    // the use of a deprecated name is reported as a warning
+    const checkDeprecation = async function(procedure, name) {
+        const deprecation = await fetchDeprecation(notary, repository, cache, name, debug);
+        if (!deprecation) return;
+        const warning = bali.catalog({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: procedure,
+            $warning: '$nameDeprecated',
+            $name: name,
+            $replacement: deprecation.getValue('$replacement'),
+            $reason: deprecation.getValue('$reason'),
+            $text: bali.text('A deprecated name is being used.')
+        });
+        logger.warn(warning.toString());
+    };
 
     // return a singleton object for the API
     return {
@@ -77,24 +586,45 @@ exports.api = function(notary, repository, compiler, debug) {
             return repository.getURI();
         },
 
+        /**
+         * This function removes from the local cache the document referenced by the
+         * specified document citation. The document will be retrieved and validated
+         * again the next time it is needed.
+         *
+         * @param {Catalog} citation The document citation for the document to be removed.
+         */
+        invalidate: async function(citation) {
+            validateParameter('$invalidate', 'citation', citation, 'citation', debug);
+            await cache.deleteDocument(extractId(citation));
+        },
+
+        /**
+         * This function removes all citations and documents from the local cache.
+         */
+        clearCache: async function() {
+            await cache.clear();
+        },
+
         /**
          * This function registers a new account with the Bali Nebula™. A valid account is
-         * required for general access to the Bali Nebula™.
+         * required for general access to the Bali Nebula™. The account must be activated
+         * using the returned notary certificate before it can be used.
          *
          * @param {Catalog} information A catalog containing the account information.
+         * @returns {Catalog} The initial notary certificate for the new account.
          */
         registerAccount: async function(information) {
             try {
                 // generate the initial notary key and certificate
-                const certificate = notary.generateKey();
-                const certificateId = extractId(certificate);
+                const certificate = await notary.generateKey();
+                const certificateId = extractComponentId(certificate.getValue('$component'));
 
                 // create the account document
                 const accountTag = notary.getAccountTag();
                 const account = bali.catalog({
                     $accountTag: accountTag
                 }, bali.parameters({
-                    $type: '/bali/composites/Account/v1',
+                    $type: ACCOUNT,
                     $tag: accountTag,
                     $version: bali.version(),
                     $permissions: '/bali/permissions/private/v1',
@@ -103,7 +633,7 @@ exports.api = function(notary, repository, compiler, debug) {
                 account.addItems(information);
 
                 // make sure the account doesn't already exist
-                const accountId = extractId(account);
+                const accountId = extractComponentId(account);
                 if (await repository.documentExists(accountId)) {
                     const exception = bali.exception({
                         $module: '/bali/services/NebulaAPI',
@@ -116,13 +646,15 @@ exports.api = function(notary, repository, compiler, debug) {
                     throw exception;
                 }
 
-                // sign the account document
-                const document = notary.signComponent(account);
+                // seal and sign the account document
+                const sealed = await sealComponent('$registerAccount', account, [], certificate.getValue('$component'));
+                const document = await notary.signComponent(sealed);
 
                 // create the documents in the repository
                 await repository.createDocument(certificateId, certificate);
                 await repository.createDocument(accountId, document);
 
+                return certificate.getValue('$component');
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
@@ -136,43 +668,113 @@ exports.api = function(notary, repository, compiler, debug) {
             }
         },
 
-        activateAccount: async function(certificate) {
-
-        },
-
         /**
-         * This function associates the specified global name to the specified document
-         * citation.
+         * This function activates a registered account with the Bali Nebula™. The specified
+         * notary certificate must belong to the registered account. A new version of the
+         * account document that cites the certificate is committed to the repository as the
+         * activation record. The rest of the API cannot be used until the account has been
+         * activated.
          *
-         * @param {Name} name The global name to be associated with the specified document
-         * citation.
-         * @param {Catalog} citation The document citation to be named.
+         * @param {Catalog} certificate The notary certificate for the registered account.
+         * @returns {Catalog} A document citation for the activated account document.
          */
-        nameCitation: async function(name, citation) {
+        activateAccount: async function(certificate) {
             try {
-                validateParameter('$nameCitation', 'name', name, 'name', debug);
-                validateParameter('$nameCitation', 'citation', citation, 'citation', debug);
-                if (cache.citationExists(name) || await repository.citationExists(name)) {
+                validateParameter('$activateAccount', 'certificate', certificate, 'certificate', debug);
+
+                // retrieve the registered account document
+                const accountTag = notary.getAccountTag();
+                const accountId = accountTag.getValue() + bali.version();
+                var source = await repository.fetchDocument(accountId);
+                if (!source) {
                     const exception = bali.exception({
                         $module: '/bali/services/NebulaAPI',
-                        $procedure: '$nameCitation',
-                        $exception: '$nameExists',
-                        $name: name,
-                        $text: bali.text('The citation name already exists.')
+                        $procedure: '$activateAccount',
+                        $exception: '$accountMissing',
+                        $accountId: bali.text(accountId),
+                        $text: bali.text('The account has not been registered.')
                     });
                     if (debug) console.error(exception.toString());
                     throw exception;
                 }
-                await repository.createCitation(name, citation);
-                cache.createCitation(name, citation);
+                const accountDocument = bali.parse(source);
+                await validateDocument(notary, repository, cache, accountDocument, debug);
+                const account = accountDocument.getValue('$component');
+
+                // make sure the certificate belongs to the registered account
+                if (!certificate.getValue('$account').isEqualTo(account.getValue('$accountTag'))) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$activateAccount',
+                        $exception: '$accountMismatch',
+                        $accountTag: account.getValue('$accountTag'),
+                        $certificate: certificate,
+                        $text: bali.text('The certificate does not belong to the registered account.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // make sure the account has not already been activated
+                const draftVersion = bali.version.nextVersion(account.getParameters().getValue('$version'));
+                const draftId = accountTag.getValue() + draftVersion;
+                if (await repository.documentExists(draftId)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$activateAccount',
+                        $exception: '$versionExists',
+                        $accountId: bali.text(draftId),
+                        $text: bali.text('The account has already been activated.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // retrieve and cite the certificate document
+                const certificateId = extractComponentId(certificate);
+                source = await repository.fetchDocument(certificateId);
+                if (!source) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$activateAccount',
+                        $exception: '$certificateMissing',
+                        $certificateId: bali.text(certificateId),
+                        $text: bali.text('The certificate for the account does not exist.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                const certificateDocument = bali.parse(source);
+                await validateDocument(notary, repository, cache, certificateDocument, debug);
+                if (!certificateDocument.getValue('$component').isEqualTo(certificate)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$activateAccount',
+                        $exception: '$certificateModified',
+                        $certificateId: bali.text(certificateId),
+                        $text: bali.text('The certificate does not match the registered certificate.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                const certificateCitation = await notary.citeDocument(certificateDocument);
+
+                // commit the activation record as the next version of the account document
+                const unsealed = await unsealComponent('$activateAccount', account);
+                const citation = await commitAccount('$activateAccount', accountDocument, unsealed, bali.catalog({
+                    $certificate: certificateCitation,
+                    $activated: bali.moment()
+                }), certificate);
+                activated = true;
+
+                return citation;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$nameCitation',
+                    $procedure: '$activateAccount',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $name: name,
-                    $text: bali.text('An unexpected error occurred while attempting to retrieve a named citation.')
+                    $text: bali.text('An unexpected error occurred while attempting to activate an account.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -180,32 +782,24 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method retrieves from the Bali Nebula™ the document citation associated with
-         * the specified name.
+         * This function retrieves from the Bali Nebula™ the latest version of the account
+         * document for the account that owns the notary key for this client.
          *
-         * @param {Name} name The globally unique name for the desired document citation.
-         * @returns {Catalog} The document citation associated with the name.
+         * @returns {Catalog} The latest version of the account document.
          */
-        retrieveCitation: async function(name) {
+        retrieveAccount: async function() {
             try {
-                validateParameter('$retrieveCitation', 'name', name, 'name', debug);
-                var citation = cache.fetchCitation(name);
-                if (!citation) {
-                    const source = await repository.fetchCitation(name);
-                    if (source) {
-                        citation = bali.parse(source);
-                        cache.createCitation(name, citation);
-                    }
-                }
-                return citation;
+                await verifyActivation('$retrieveAccount');
+                const document = await fetchAccount(notary, repository, cache, debug);
+                const account = await unsealComponent('$retrieveAccount', document.getValue('$component'));
+                return account;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$retrieveCitation',
+                    $procedure: '$retrieveAccount',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $name: name,
-                    $text: bali.text('An unexpected error occurred while attempting to retrieve a named citation.')
+                    $text: bali.text('An unexpected error occurred while attempting to retrieve the account.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -213,32 +807,42 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method creates a new draft document template based on the specified document
-         * type name.
+         * This function commits to the Bali Nebula™ a new version of the account document
+         * with the specified changes merged into it. The attributes that bind the account to
+         * its notary certificate cannot be changed this way.
          *
-         * @param {Name} type The name of the type of document to be created.
-         * @returns {Catalog} A document template for the new draft document.
+         * @param {Catalog} changes A catalog containing the account attributes to be changed.
+         * @returns {Catalog} A document citation for the new version of the account document.
          */
-        createDraft: async function(type) {
+        updateAccount: async function(changes) {
             try {
-                validateParameter('$createDraft', 'type', type, 'type', debug);
-                var citation = cache.fetchCitation(type);
-                if (!citation) {
-                    const source = await repository.fetchCitation(type);
-                    if (source) {
-                        citation = bali.parse(source);
-                        cache.createCitation(type, citation);
+                await verifyActivation('$updateAccount');
+                validateParameter('$updateAccount', 'changes', changes, 'catalog', debug);
+                const protectedAttributes = ['$accountTag', '$certificate', '$activated'];
+                protectedAttributes.forEach(function(key) {
+                    if (changes.getValue(key)) {
+                        const exception = bali.exception({
+                            $module: '/bali/services/NebulaAPI',
+                            $procedure: '$updateAccount',
+                            $exception: '$attributeProtected',
+                            $attribute: bali.symbol(key.slice(1)),
+                            $text: bali.text('The account attribute cannot be changed directly.')
+                        });
+                        if (debug) console.error(exception.toString());
+                        throw exception;
                     }
-                }
-                const draft = constructTemplate(citation, debug);
-                return draft;
+                });
+                const document = await fetchAccount(notary, repository, cache, debug);
+                const account = await unsealComponent('$updateAccount', document.getValue('$component'));
+                const citation = await commitAccount('$updateAccount', document, account, changes);
+                return citation;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$createDraft',
+                    $procedure: '$updateAccount',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to create a new draft document.')
+                    $text: bali.text('An unexpected error occurred while attempting to update the account.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -246,39 +850,62 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method saves in the Bali Nebula™ a draft document.
+         * This function replaces the notary key for the account with a new one. The new
+         * notary certificate cites the previous certificate and is signed using the outgoing
+         * key before it is destroyed. The new certificate is stored in the repository and a
+         * new version of the account document citing it is committed. Documents signed with
+         * a previous certificate remain valid as long as they were signed before the key was
+         * rotated.
          *
-         * @param {Component} draft The draft document to be saved.
-         * @returns {Catalog} A document citation for the draft document.
+         * @returns {Catalog} A document citation for the new notary certificate.
          */
-        saveDraft: async function(draft) {
+        rotateKey: async function() {
             try {
-                validateParameter('$saveDraft', 'draft', draft, 'draft', debug);
-                draft = await notary.signComponent(draft);
-                const draftCitation = await notary.citeDocument(draft);
-                const draftId = extractId(draftCitation);
-                if (cache.documentExists(draftId) || await repository.documentExists(draftId)) {
+                await verifyActivation('$rotateKey');
+                const previousCitation = await notary.getCitation();
+
+                // unseal the account document while the current notary key is still valid
+                const accountDocument = await fetchAccount(notary, repository, cache, debug);
+                const account = await unsealComponent('$rotateKey', accountDocument.getValue('$component'));
+
+                // generate the next notary key and certificate
+                const certificate = await notary.rotateKey();
+                const component = certificate.getValue('$component');
+                if (!certificate.getValue('$certificate').isEqualTo(previousCitation) ||
+                        !component.getParameters().getValue('$previous').isEqualTo(previousCitation)) {
                     const exception = bali.exception({
                         $module: '/bali/services/NebulaAPI',
-                        $procedure: '$saveDraft',
-                        $exception: '$versionExists',
-                        $tag: draftCitation.getValue('$tag'),
-                        $version: draftCitation.getValue('$version'),
-                        $text: bali.text('A committed version of the document referenced by the citation already exists.')
+                        $procedure: '$rotateKey',
+                        $exception: '$invalidCertificate',
+                        $previous: previousCitation,
+                        $certificate: certificate,
+                        $text: bali.text('The new certificate is not chained to the previous certificate.')
                     });
                     if (debug) console.error(exception.toString());
                     throw exception;
                 }
-                await repository.saveDraft(draftId, draft);
-                // we don't cache drafts since they are mutable
-                return draftCitation;
+                await validateDocument(notary, repository, cache, certificate, debug);
+
+                // store the new certificate in the repository
+                const certificateId = extractComponentId(component);
+                const certificateCitation = await notary.citeDocument(certificate);
+                await repository.createDocument(certificateId, certificate);
+                await cache.createDocument(certificateCitation, certificate);
+                cache.deleteRetirement(extractId(previousCitation));
+
+                // update the account document to cite the new certificate
+                await commitAccount('$rotateKey', accountDocument, account, bali.catalog({
+                    $certificate: certificateCitation
+                }), component);
+
+                return certificateCitation;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$saveDraft',
+                    $procedure: '$rotateKey',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to update a draft document.')
+                    $text: bali.text('An unexpected error occurred while attempting to rotate the notary key.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -286,33 +913,90 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method retrieves from the Bali Nebula™ the saved draft document
-         * associated with the specified document citation.
+         * This function revokes the specified notary certificate belonging to the account.
+         * A notarized revocation record is committed to the repository. Any document signed
+         * using the certificate after the moment it was revoked will no longer be valid.
          *
-         * @param {Catalog} citation The document citation for the desired draft document.
-         * @returns {Component} The desired draft document.
+         * @param {Catalog} citation A document citation for the certificate to be revoked.
+         * @param {Text} reason The reason the certificate is being revoked.
+         * @returns {Catalog} A document citation for the revocation record.
          */
-        retrieveDraft: async function(citation) {
+        revokeCertificate: async function(citation, reason) {
             try {
-                validateParameter('$retrieveDraft', 'citation', citation, 'citation', debug);
-                const documentId = extractId(citation);
-                var draft;
-                const source = await repository.fetchDraft(documentId);
-                if (source) {
-                    const document = bali.parse(source);
-                    await validateCitation(notary, citation, document);
-                    await validateDocument(notary, repository, document);
-                    // we don't cache drafts since they are mutable
-                    draft = document.getValue('$component');
+                await verifyActivation('$revokeCertificate');
+                validateParameter('$revokeCertificate', 'citation', citation, 'citation', debug);
+                validateParameter('$revokeCertificate', 'reason', reason, 'text', debug);
+
+                // make sure the certificate belongs to the account
+                const certificateId = extractId(citation);
+                const source = await repository.fetchDocument(certificateId);
+                if (!source) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$revokeCertificate',
+                        $exception: '$certificateMissing',
+                        $certificateId: bali.text(certificateId),
+                        $text: bali.text('The certificate to be revoked does not exist.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
                 }
-                return draft;
+                const certificate = bali.parse(source);
+                await validateCitation(notary, citation, certificate, debug);
+                if (!certificate.getValue('$component').getValue('$account').isEqualTo(notary.getAccountTag())) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$revokeCertificate',
+                        $exception: '$notAuthorized',
+                        $accountTag: notary.getAccountTag(),
+                        $certificateId: bali.text(certificateId),
+                        $text: bali.text('The certificate does not belong to the account.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // make sure the certificate has not already been revoked
+                const name = revocationName(citation);
+                if (await repository.citationExists(name)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$revokeCertificate',
+                        $exception: '$certificateRevoked',
+                        $certificateId: bali.text(certificateId),
+                        $text: bali.text('The certificate has already been revoked.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // commit the revocation record
+                const record = bali.catalog({
+                    $certificate: citation,
+                    $reason: reason,
+                    $revoked: bali.moment()
+                }, bali.parameters({
+                    $type: '/bali/composites/Revocation/v1',
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                const document = await notary.signComponent(record);
+                const recordCitation = await notary.citeDocument(document);
+                await repository.createDocument(extractComponentId(record), document);
+                await repository.createCitation(name, recordCitation);
+                await cache.deleteDocument(certificateId);
+                cache.deleteRevocation(certificateId);
+
+                return recordCitation;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$retrieveDraft',
+                    $procedure: '$revokeCertificate',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to retrieve a draft document.')
+                    $text: bali.text('An unexpected error occurred while attempting to revoke a certificate.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -320,23 +1004,76 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method deletes from the Bali Nebula™ the saved draft document
-         * associated with the specified document citation.
+         * This method claims the specified namespace for the account. The first account to
+         * claim a namespace owns it, and from then on only the owner, or accounts that the
+         * owner has delegated to, may associate names within that namespace with document
+         * citations or claim namespaces nested within it. The claim is recorded as a
+         * notarized document that is signed by the owner.
          *
-         * @param {Catalog} citation The document citation for the draft document to be deleted.
+         * @param {Name} namespace The namespace to be claimed, e.g. /acme/products.
+         * @returns {Catalog} A document citation for the claim record.
          */
-        discardDraft: async function(citation) {
+        claimNamespace: async function(namespace) {
             try {
-                validateParameter('$discardDraft', 'citation', citation, 'citation', debug);
-                const documentId = extractId(citation);
-                await repository.deleteDraft(documentId);
+                await verifyActivation('$claimNamespace');
+                validateParameter('$claimNamespace', 'namespace', namespace, 'name', debug);
+
+                // make sure the namespace has not already been claimed
+                const name = claimName(namespace);
+                if (await repository.citationExists(name)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$claimNamespace',
+                        $exception: '$namespaceClaimed',
+                        $namespace: namespace,
+                        $text: bali.text('The namespace has already been claimed.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // make sure the account may claim namespaces within any enclosing namespace
+                const claim = await fetchClaim(notary, repository, cache, namespace, debug);
+                if (claim && !(await isAuthorized(notary, repository, cache, claim, notary.getAccountTag(), debug))) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$claimNamespace',
+                        $exception: '$notAuthorized',
+                        $accountTag: notary.getAccountTag(),
+                        $namespace: namespace,
+                        $enclosing: claim.getValue('$namespace'),
+                        $text: bali.text('The enclosing namespace is owned by another account.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // commit the claim record
+                const record = bali.catalog({
+                    $namespace: namespace,
+                    $owner: notary.getAccountTag(),
+                    $claimed: bali.moment()
+                }, bali.parameters({
+                    $type: '/bali/composites/Claim/v1',
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                const document = await notary.signComponent(record);
+                const recordCitation = await notary.citeDocument(document);
+                await repository.createDocument(extractComponentId(record), document);
+                await repository.createCitation(name, recordCitation);
+
+                return recordCitation;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$discardDraft',
+                    $procedure: '$claimNamespace',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to discard a draft document.')
+                    $namespace: namespace,
+                    $text: bali.text('An unexpected error occurred while attempting to claim a namespace.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -344,41 +1081,76 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method commits to the Bali Nebula™ the specified draft document
-         * to be associated with the specified document citation.
+         * This method delegates to the specified account the right to associate names
+         * within a namespace owned by this account with document citations. The delegation
+         * is recorded as a notarized document that is signed by the owner.
          *
-         * @param {Component} draft The draft document to be committed.
-         * @returns {Catalog} The updated citation for the committed document.
+         * @param {Name} namespace The namespace owned by this account.
+         * @param {Tag} accountTag The unique tag for the account being delegated to.
+         * @returns {Catalog} A document citation for the delegation record.
          */
-        commitDocument: async function(draft) {
+        delegateNamespace: async function(namespace, accountTag) {
             try {
-                validateParameter('$commitDocument', 'draft', draft, 'draft', debug);
-                var document = await notary.signComponent(draft);
-                const documentCitation = await notary.citeDocument(document);
-                const documentId = extractId(documentCitation);
-                if (cache.documentExists(documentId) || await repository.documentExists(documentId)) {
+                await verifyActivation('$delegateNamespace');
+                validateParameter('$delegateNamespace', 'namespace', namespace, 'name', debug);
+                validateParameter('$delegateNamespace', 'accountTag', accountTag, 'tag', debug);
+
+                // make sure the account owns the namespace
+                const claim = await fetchRecord(notary, repository, cache, claimName(namespace), debug);
+                if (!claim || !claim.getValue('$component').getValue('$owner').isEqualTo(notary.getAccountTag())) {
                     const exception = bali.exception({
                         $module: '/bali/services/NebulaAPI',
-                        $procedure: '$commitDocument',
-                        $exception: '$versionExists',
-                        $documentId: bali.text(documentId),
-                        $text: bali.text('A committed version of the document referenced by the citation already exists.')
+                        $procedure: '$delegateNamespace',
+                        $exception: '$notAuthorized',
+                        $accountTag: notary.getAccountTag(),
+                        $namespace: namespace,
+                        $text: bali.text('The namespace is not owned by the account.')
                     });
                     if (debug) console.error(exception.toString());
                     throw exception;
                 }
-                await repository.createDocument(documentId, document);
-                document = document.getValue('$component');
-                cache.createDocument(documentId, document);
-                await repository.deleteDraft(documentId);
-                return documentCitation;
+
+                // make sure the delegation does not already exist
+                const name = delegationName(namespace, accountTag);
+                if (await repository.citationExists(name)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$delegateNamespace',
+                        $exception: '$delegationExists',
+                        $namespace: namespace,
+                        $delegate: accountTag,
+                        $text: bali.text('The namespace has already been delegated to the account.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // commit the delegation record
+                const record = bali.catalog({
+                    $namespace: namespace,
+                    $delegate: accountTag,
+                    $delegated: bali.moment()
+                }, bali.parameters({
+                    $type: '/bali/composites/Delegation/v1',
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                const document = await notary.signComponent(record);
+                const recordCitation = await notary.citeDocument(document);
+                await repository.createDocument(extractComponentId(record), document);
+                await repository.createCitation(name, recordCitation);
+
+                return recordCitation;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$commitDocument',
+                    $procedure: '$delegateNamespace',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to commit a draft document.')
+                    $namespace: namespace,
+                    $text: bali.text('An unexpected error occurred while attempting to delegate a namespace.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -386,35 +1158,67 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method retrieves from the Bali Nebula™ the committed document
-         * for the specified document citation.
+         * This function associates the specified global name to the specified document
+         * citation. If the name resides within a claimed namespace the account must be
+         * the owner of that namespace or have been delegated to by the owner. Names within
+         * the <code>/bali/</code> namespace are reserved for the records (e.g. claims and
+         * grants) that are created by the other methods of this API.
          *
-         * @param {Catalog} citation The document citation for the desired document.
-         * @returns {Component} The desired document.
+         * @param {Name} name The global name to be associated with the specified document
+         * citation.
+         * @param {Catalog} citation The document citation to be named.
          */
-        retrieveDocument: async function(citation) {
+        nameCitation: async function(name, citation) {
             try {
-                validateParameter('$retrieveDocument', 'citation', citation, 'citation', debug);
-                const documentId = extractId(citation);
-                var document = cache.fetchDocument(documentId);
-                if (!document) {
-                    const source = await repository.fetchDocument(documentId);
-                    if (source) {
-                        document = bali.parse(source);
-                        await validateCitation(notary, citation, document);
-                        await validateDocument(notary, repository, document);
-                        document = document.getValue('$component');
-                        cache.createDocument(documentId, document);
-                    }
+                await verifyActivation('$nameCitation');
+                validateParameter('$nameCitation', 'name', name, 'name', debug);
+                validateParameter('$nameCitation', 'citation', citation, 'citation', debug);
+                if (name.toString().startsWith('/bali/')) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$nameCitation',
+                        $exception: '$reservedName',
+                        $name: name,
+                        $text: bali.text('The /bali/ namespace is reserved for the records of the Bali Nebula™.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
                 }
-                return document;
+                if (cache.citationExists(name) || await repository.citationExists(name)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$nameCitation',
+                        $exception: '$nameExists',
+                        $name: name,
+                        $text: bali.text('The citation name already exists.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                const claim = await fetchClaim(notary, repository, cache, name, debug);
+                if (claim && !(await isAuthorized(notary, repository, cache, claim, notary.getAccountTag(), debug))) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$nameCitation',
+                        $exception: '$notAuthorized',
+                        $accountTag: notary.getAccountTag(),
+                        $name: name,
+                        $namespace: claim.getValue('$namespace'),
+                        $text: bali.text('The namespace is owned by another account.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                await repository.createCitation(name, citation);
+                cache.createCitation(name, citation);
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$retrieveDocument',
+                    $procedure: '$nameCitation',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to retrieve a document.')
+                    $name: name,
+                    $text: bali.text('An unexpected error occurred while attempting to retrieve a named citation.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -422,82 +1226,186 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method checks out from the Bali Nebula™ a new draft of the
-         * committed document for the specified document citation. The version string
-         * for the new draft is calculated based on the specified level.
+         * This method retrieves from the Bali Nebula™ the document citation associated with
+         * the specified name. If no citation is associated with the exact name and the name
+         * does not end with an exact version, the name is treated as a version range and the
+         * citation for the highest matching version is retrieved:
          * <pre>
-         *      level     current            draft
-         *     level 1:    v5.7              v6         (interface/symantic changes)
-         *     level 2:    v5.7              v5.8       (optimization/bug fixes)
-         *     level 2:    v5.7              v5.7.1     (changes being tested)
+         *     /bali/types/Component         the highest version of any level
+         *     /bali/types/Component/vx      the highest version of any level
+         *     /bali/types/Component/v2.x    the highest v2 version, e.g. v2.4 or v2.3.1
          * </pre>
          *
-         * @param {Catalog} citation The document citation for the committed document.
-         * @param {Number} level The (optional) version level that should be incremented. If no
-         * level is specified, the last number in the document version string is incremented.
-         * @returns {Catalog} The document citation for the new draft document.
+         * A deprecated name still resolves to its original citation unless the 'follow'
+         * option is set, in which case the replacement names are followed until a name that
+         * has not been deprecated is reached. The deprecation record for a name may be
+         * retrieved using the <code>retrieveDeprecation()</code> method.
+         *
+         * @param {Name} name The globally unique name (or version range) for the desired
+         * document citation.
+         * @param {Object} options An optional object specifying whether or not deprecated
+         * names should be redirected to their replacements, e.g. {follow: true}.
+         * @returns {Catalog} The document citation associated with the name.
          */
-        checkoutDocument: async function(citation, level) {
+        retrieveCitation: async function(name, options) {
             try {
-                // validate the parameters
-                validateParameter('$checkoutDocument', 'citation', citation, 'citation', debug);
-                validateParameter('$checkoutDocument', 'level', level, 'level', debug);
+                await verifyActivation('$retrieveCitation');
+                validateParameter('$retrieveCitation', 'name', name, 'name', debug);
+                options = options || {};
+                const visited = [];
+                while (true) {
+                    var citation = cache.fetchCitation(name);
+                    if (!citation) {
+                        var source = await repository.fetchCitation(name);
+                        if (!source) {
+                            // a version range is never cached since new versions may be named
+                            const version = await resolveVersion(repository, name, debug);
+                            if (version) {
+                                name = version;
+                                citation = cache.fetchCitation(name);
+                                if (!citation) source = await repository.fetchCitation(name);
+                            }
+                        }
+                        if (source) {
+                            citation = bali.parse(source);
+                            cache.createCitation(name, citation);
+                        }
+                    }
+                    if (!citation || !options.follow) return citation;
 
-                // create the draft citation
-                const documentVersion = citation.getValue('$version');
-                const draftVersion = bali.version.nextVersion(documentVersion, level);
+                    // follow the redirect for a deprecated name
+                    const deprecation = await fetchDeprecation(notary, repository, cache, name, debug);
+                    if (!deprecation) return citation;
+                    visited.push(name.toString());
+                    name = deprecation.getValue('$replacement');
+                    if (visited.includes(name.toString())) {
+                        const exception = bali.exception({
+                            $module: '/bali/services/NebulaAPI',
+                            $procedure: '$retrieveCitation',
+                            $exception: '$circularRedirect',
+                            $name: name,
+                            $text: bali.text('The replacements for a deprecated name form a cycle.')
+                        });
+                        if (debug) console.error(exception.toString());
+                        throw exception;
+                    }
+                }
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$retrieveCitation',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $name: name,
+                    $text: bali.text('An unexpected error occurred while attempting to retrieve a named citation.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
 
-                // make sure that there is no document already referenced by the draft citation
-                const draftId = citation.getValue('$tag').getValue() + draftVersion;
-                if (cache.documentExists(draftId) || await repository.documentExists(draftId) || await repository.draftExists(draftId)) {
+        /**
+         * This method marks the specified name as deprecated in favor of a replacement name.
+         * The name remains associated with its original document citation, but a notarized
+         * deprecation record is created that identifies the replacement name and the reason
+         * for the deprecation. Only the owner of the (claimed) namespace containing the name,
+         * or one of its delegates, or for an unclaimed name the account that signed the named
+         * document, may deprecate the name.
+         *
+         * @param {Name} name The name to be deprecated.
+         * @param {Name} replacementName The name (or version range) that replaces it.
+         * @param {Text} reason The reason for the deprecation.
+         * @returns {Catalog} A document citation for the deprecation record.
+         */
+        deprecateName: async function(name, replacementName, reason) {
+            try {
+                await verifyActivation('$deprecateName');
+                validateParameter('$deprecateName', 'name', name, 'name', debug);
+                validateParameter('$deprecateName', 'replacementName', replacementName, 'name', debug);
+                validateParameter('$deprecateName', 'reason', reason, 'text', debug);
+
+                // make sure both names exist
+                const source = await repository.fetchCitation(name);
+                if (!source) {
                     const exception = bali.exception({
                         $module: '/bali/services/NebulaAPI',
-                        $procedure: '$checkoutDocument',
-                        $exception: '$versionExists',
-                        $documentId: bali.text(draftId),
-                        $text: bali.text('A committed version of the document referenced by the citation already exists.')
+                        $procedure: '$deprecateName',
+                        $exception: '$nameMissing',
+                        $name: name,
+                        $text: bali.text('The name to be deprecated does not exist.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                if (name.isEqualTo(replacementName) || !(await this.retrieveCitation(replacementName))) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$deprecateName',
+                        $exception: '$invalidReplacement',
+                        $name: name,
+                        $replacement: replacementName,
+                        $text: bali.text('The replacement name does not exist.')
                     });
                     if (debug) console.error(exception.toString());
                     throw exception;
                 }
 
-                // retrieve the document to be checked out
-                const documentId = extractId(citation);
-                const source = await repository.fetchDocument(documentId);
-                if (source === undefined) {
+                // make sure the account may deprecate the name
+                const citation = bali.parse(source);
+                if (!(await mayManageName(notary, repository, cache, name, citation, notary.getAccountTag(), debug))) {
                     const exception = bali.exception({
                         $module: '/bali/services/NebulaAPI',
-                        $procedure: '$checkoutDocument',
-                        $exception: '$documentMissing',
-                        $documentId: bali.text(documentId),
-                        $text: bali.text('The document referenced by the citation does not exist.')
+                        $procedure: '$deprecateName',
+                        $exception: '$notAuthorized',
+                        $accountTag: notary.getAccountTag(),
+                        $name: name,
+                        $text: bali.text('The account is not authorized to deprecate the name.')
                     });
                     if (debug) console.error(exception.toString());
                     throw exception;
                 }
-                var document = bali.parse(source);
 
-                // validate and cache the document
-                await validateCitation(notary, citation, document);
-                await validateDocument(notary, repository, document);
-                document = document.getValue('$component');
-                cache.createDocument(documentId, document);
+                // make sure the name has not already been deprecated
+                const recordName = deprecationName(name);
+                if (await repository.citationExists(recordName)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$deprecateName',
+                        $exception: '$nameDeprecated',
+                        $name: name,
+                        $text: bali.text('The name has already been deprecated.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
 
-                // store a draft copy of the document in the repository (NOTE: drafts are not cached)
-                var draft = bali.duplicate(document);
-                draft.getParameters().setParameter('$version', draftVersion);
-                draft = await notary.signComponent(draft, citation);
-                const draftCitation = await notary.citeDocument(draft);
-                await repository.saveDraft(draftId, draft);
+                // commit the deprecation record
+                const record = bali.catalog({
+                    $name: name,
+                    $replacement: replacementName,
+                    $reason: reason,
+                    $deprecated: bali.moment()
+                }, bali.parameters({
+                    $type: '/bali/composites/Deprecation/v1',
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                const document = await notary.signComponent(record);
+                const recordCitation = await notary.citeDocument(document);
+                await repository.createDocument(extractComponentId(record), document);
+                await repository.createCitation(recordName, recordCitation);
 
-                return draftCitation;
+                return recordCitation;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$checkoutDocument',
+                    $procedure: '$deprecateName',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to checkout a document.')
+                    $name: name,
+                    $text: bali.text('An unexpected error occurred while attempting to deprecate a name.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -505,101 +1413,320 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method compiles the document type associated with the specified document
-         * citation in the Bali Nebula™.
+         * This method retrieves the deprecation record (if one exists) for the specified
+         * name. The record has the following form:
+         * <pre>
+         * [
+         *     $name: <the deprecated name>
+         *     $replacement: <the name that replaces it>
+         *     $reason: <the reason for the deprecation>
+         *     $deprecated: <the moment at which the name was deprecated>
+         * ]
+         * </pre>
          *
-         * @param {Catalog} draft The draft document for the type to be compiled.
-         * @returns {Catalog} A Bali document citation to the newly compiled type document.
+         * @param {Name} name The name that may have been deprecated.
+         * @returns {Catalog} The deprecation record, or undefined if the name has not been
+         * deprecated.
          */
-        compileType: async function(draft) {
+        retrieveDeprecation: async function(name) {
             try {
-                validateParameter('$compileType', 'draft', draft, 'draft', debug);
-                const parameters = draft.getParameters();
-
-                // extract any literals, constants and procedures from the parent type
-                const literals = bali.list();
-                const constants = bali.catalog();
-                var procedures = bali.catalog();
-                const parentTypeCitation = draft.getValue('$parent');
-                if (parentTypeCitation && parentTypeCitation.getTypeId() === bali.types.CATALOG) {
-                    const parentType = await this.retrieveDocument(parentTypeCitation);
-                    const compiledParentCitation = parentType.getValue('$compiled');
-                    if (compiledParentCitation && compiledParentCitation.getTypeId() === bali.types.CATALOG) {
-                        const compiledParent = await this.retrieveDocument(compiledParentCitation);
-                        literals.addItems(compiledParent.getValue('$literals'));
-                        constants.addItems(compiledParent.getValue('$constants'));
-                        procedures.addItems(compiledParent.getValue('$procedures'));
-                    }
-                }
-
-                // add in the constants from the child draft type
-                const items = draft.getValue('$constants');
-                if (items) constants.addItems(items);
-                var compiledCitation = draft.getValue('$compiled');
-
-                // create the compilation type context
-                const type = bali.catalog([], bali.parameters({
-                    $tag: compiledCitation ? compiledCitation.getValue('$tag') : bali.tag(),
-                    $version: parameters.getValue('$version'),
-                    $permissions: parameters.getValue('$permissions'),
-                    $previous: compiledCitation || bali.pattern.NONE
-                }));
-                type.setValue('$literals', literals);
-                type.setValue('$constants', constants);
-                type.setValue('$procedures', procedures);
+                await verifyActivation('$retrieveDeprecation');
+                validateParameter('$retrieveDeprecation', 'name', name, 'name', debug);
+                const deprecation = await fetchDeprecation(notary, repository, cache, name, debug);
+                return deprecation;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$retrieveDeprecation',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $name: name,
+                    $text: bali.text('An unexpected error occurred while attempting to retrieve a deprecation record.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
 
-                // compile each procedure defined in the type definition document
-                var association, name, procedure;
-                procedures = draft.getValue('$procedures');
-                if (procedures) {
-                    // iterate through procedure definitions
-                    var iterator = procedures.getIterator();
-                    procedures = bali.catalog();  // for compiled procedures
-                    while (iterator.hasNext()) {
+        /**
+         * This method lists the child namespaces and named citations that reside directly
+         * under the specified namespace prefix in the Bali Nebula™. The document repository
+         * must support listing the children of a namespace, sorted by name, one page at a time.
+         * The result is a catalog of the following form:
+         * <pre>
+         * [
+         *     $children: [
+         *         [
+         *             $name: <the name of the child, e.g. /bali/types/Component>
+         *             $kind: <$namespace or $citation>
+         *             $citation: <the named document citation (for citations only)>
+         *         ]
+         *         ...
+         *     ]
+         *     $next: <the offset of the next page of children, or none>
+         * ]
+         * </pre>
+         *
+         * @param {String} prefix The namespace prefix, e.g. '/bali/types/'.
+         * @param {Object} options An optional object specifying the page of children to be
+         * returned, e.g. {offset: 0, limit: 100}.
+         * @returns {Catalog} A catalog containing the requested page of children.
+         */
+        listNames: async function(prefix, options) {
+            try {
+                await verifyActivation('$listNames');
+                validateParameter('$listNames', 'prefix', prefix, 'directory', debug);
+                options = options || {};
+                validateParameter('$listNames', 'limit', options.limit, 'size', debug);
+                validateParameter('$listNames', 'offset', options.offset, 'index', debug);
+                verifyCapability(repository, 'listNames', '$listNames', debug);
+                if (!prefix.endsWith('/')) prefix += '/';
+                if (!prefix.startsWith('/')) prefix = '/' + prefix;
 
-                        // retrieve the source code for the procedure
-                        association = iterator.getNext();
-                        name = association.getKey();
-                        const source = association.getValue().getValue('$source');
+                // retrieve the requested page of children (and one more to see if there are others)
+                const offset = options.offset || 0;
+                const names = (await repository.listNames(prefix, offset, options.limit ? options.limit + 1 : undefined)).map(String);
+                const more = options.limit && names.length > options.limit;
+                if (more) names.pop();
 
-                        // compile the source code
-                        procedure = compiler.compile(type, source, debug);
-                        procedures.setValue(name, procedure);  // compiled procedure
-                    }
+                const children = bali.list();
+                for (var i = 0; i < names.length; i++) {
+                    const namespace = names[i].endsWith('/');
+                    const name = bali.parse(namespace ? names[i].slice(0, -1) : names[i]);
+                    const child = bali.catalog({
+                        $name: name,
+                        $kind: namespace ? '$namespace' : '$citation'
+                    });
+                    if (!namespace) child.setValue('$citation', await this.retrieveCitation(name));
+                    children.addItem(child);
+                }
 
-                    // iterate through the compiled procedures
-                    iterator = procedures.getIterator();
-                    while (iterator.hasNext()) {
+                const result = bali.catalog({
+                    $children: children,
+                    $next: more ? offset + options.limit : bali.pattern.NONE
+                });
+                return result;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$listNames',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $prefix: bali.text(String(prefix)),
+                    $text: bali.text('An unexpected error occurred while attempting to list the names in a namespace.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
 
-                        // retrieve the compiled procedure
-                        association = iterator.getNext();
-                        name = association.getKey();
-                        procedure = association.getValue();
+        /**
+         * This method creates a new draft document template based on the specified document
+         * type name. Each attribute defined by the type (or its parent types) is initialized
+         * as follows:
+         * <pre>
+         *  * an attribute with a default value is set to a copy of the default value
+         *  * an attribute with enumerated choices is set to the first choice
+         *  * a list or catalog attribute is set to an empty collection, parameterized with
+         *    the type of its items if the definition contains an <code>$items</code> type
+         *  * an attribute with a composite type is set to a nested template for that type
+         *  * any other attribute is set to the 'none' placeholder
+         * </pre>
+         * Optional attributes are left out unless they are explicitly requested. If the type
+         * definitions require a template to contain itself, an exception is thrown.
+         *
+         * @param {Name} type The name (or version range) of the type of document to be created.
+         * @param {Object} options An optional object specifying whether or not optional
+         * attributes should be included in the template, e.g. {optional: true}.
+         * @returns {Catalog} A document template for the new draft document.
+         */
+        createDraft: async function(type, options) {
+            try {
+                await verifyActivation('$createDraft');
+                validateParameter('$createDraft', 'type', type, 'name', debug);
+                options = options || {};
+                type = (await resolveVersion(repository, type, debug)) || type;
+                await checkDeprecation('$createDraft', type);
+                const citation = await this.retrieveCitation(type);
+                if (!citation) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$createDraft',
+                        $exception: '$unknownType',
+                        $type: type,
+                        $text: bali.text('The type name is not associated with a type document.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                const draft = await constructTemplate(typeResolver(this), type, options.optional, debug);
+                return draft;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$createDraft',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to create a new draft document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
 
-                        // assemble the instructions in the procedure into bytecode
-                        compiler.assemble(type, procedure, debug);
+        /**
+         * This method saves in the Bali Nebula™ a draft document. The moment at which the
+         * draft was last saved is recorded in its notary seal and is used to determine when
+         * the draft expires under the draft retention policy (if any). A private draft is
+         * encrypted (when encryption is enabled) for the account and any additional recipients
+         * before it is saved.
+         *
+         * @param {Component} draft The draft document to be saved.
+         * @param {Object} options An optional object specifying the additional accounts for
+         * which a private draft should be encrypted, e.g. {recipients: [accountTag]}.
+         * @returns {Catalog} A document citation for the draft document.
+         */
+        saveDraft: async function(draft, options) {
+            try {
+                await verifyActivation('$saveDraft');
+                validateParameter('$saveDraft', 'draft', draft, 'draft', debug);
+                options = options || {};
+                (options.recipients || []).forEach(function(recipient) {
+                    validateParameter('$saveDraft', 'recipient', recipient, 'tag', debug);
+                });
+                draft = await sealComponent('$saveDraft', draft, options.recipients);
+                draft = await notary.signComponent(draft);
+                const draftCitation = await notary.citeDocument(draft);
+                const draftId = extractId(draftCitation);
+                if (await cache.documentExists(draftId) || await repository.documentExists(draftId)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$saveDraft',
+                        $exception: '$versionExists',
+                        $tag: draftCitation.getValue('$tag'),
+                        $version: draftCitation.getValue('$version'),
+                        $text: bali.text('A committed version of the document referenced by the citation already exists.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                await repository.saveDraft(draftId, draft);
+                // we don't cache drafts since they are mutable
+                return draftCitation;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$saveDraft',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to update a draft document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
 
-                        // add the assembled procedure to the type context
-                        type.getValue('$procedures').setValue(name, procedure);
-                    }
+        /**
+         * This method retrieves from the Bali Nebula™ the saved draft document
+         * associated with the specified document citation.
+         *
+         * @param {Catalog} citation The document citation for the desired draft document.
+         * @returns {Component} The desired draft document.
+         */
+        retrieveDraft: async function(citation) {
+            try {
+                await verifyActivation('$retrieveDraft');
+                validateParameter('$retrieveDraft', 'citation', citation, 'citation', debug);
+                const documentId = extractId(citation);
+                var draft;
+                const source = await repository.fetchDraft(documentId);
+                if (source) {
+                    const document = bali.parse(source);
+                    await validateCitation(notary, citation, document);
+                    await validateDocument(notary, repository, cache, document);
+                    const grant = await authorizeAccess('$retrieveDraft', citation, document, '$retrieve');
+                    // we don't cache drafts since they are mutable
+                    draft = await unsealComponent('$retrieveDraft', document.getValue('$component'), grant);
                 }
+                return draft;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$retrieveDraft',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to retrieve a draft document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
 
-                // checkin the draft and newly compiled type
-                // TODO: replace this logic with calls to notaryDocument and then make remote call
-                //       compile the type and verify that the result is identical before posting.
-                compiledCitation = await this.commitDocument(type);
-                draft.setValue('$compiled', compiledCitation);
-                const typeCitation = await this.commitDocument(draft);
+        /**
+         * This method lists the draft documents that have been saved in the Bali Nebula™ by
+         * the account that owns the notary key for this client. Each draft document is
+         * validated before it is listed. The result is a list of catalogs of the following
+         * form:
+         * <pre>
+         * [
+         *     $citation: <the document citation for the draft document>
+         *     $type: <the name of the type of the draft document (if any)>
+         *     $tag: <the unique tag for the draft document>
+         *     $version: <the version of the draft document>
+         *     $timestamp: <the moment the draft document was last saved>
+         * ]
+         * </pre>
+         * The drafts may optionally be filtered by type and/or tag, e.g.
+         * <code>[$type: /acme/types/Order/v1, $tag: #BRTLGJ6SYKH5QY8V7JYNTL3HWB5K95KX]</code>.
+         * The filter is applied by the document repository, which must support listing the
+         * drafts that match a catalog of criteria.
+         *
+         * @param {Catalog} filter An optional catalog containing the type and/or tag of the
+         * draft documents to be listed.
+         * @returns {List} A list of catalogs describing the matching draft documents.
+         */
+        listDrafts: async function(filter) {
+            try {
+                await verifyActivation('$listDrafts');
+                if (filter) validateParameter('$listDrafts', 'filter', filter, 'catalog', debug);
+                verifyCapability(repository, 'listDrafts', '$listDrafts', debug);
+                const type = filter ? filter.getValue('$type') : undefined;
+                const tag = filter ? filter.getValue('$tag') : undefined;
 
-                return typeCitation;
+                // only the drafts that were saved by this account and match the filter are listed
+                const certificateTag = (await notary.getCitation()).getValue('$tag');
+                const criteria = bali.catalog({
+                    $certificate: certificateTag
+                });
+                if (type) criteria.setValue('$type', type);
+                if (tag) criteria.setValue('$tag', tag);
 
+                const drafts = bali.list();
+                const draftIds = await repository.listDrafts(criteria);
+                for (var i = 0; i < draftIds.length; i++) {
+                    const source = await repository.fetchDraft(draftIds[i]);
+                    if (!source) continue;  // the draft was deleted after it was listed
+                    const document = bali.parse(source);
+                    if (!document.getValue('$certificate').getValue('$tag').isEqualTo(certificateTag)) continue;
+                    const parameters = document.getValue('$component').getParameters();
+                    await validateDocument(notary, repository, cache, document, debug);
+                    const draft = bali.catalog({
+                        $citation: await notary.citeDocument(document),
+                        $type: parameters.getValue('$type') || bali.pattern.NONE,
+                        $tag: parameters.getValue('$tag'),
+                        $version: parameters.getValue('$version'),
+                        $timestamp: document.getValue('$timestamp')
+                    });
+                    drafts.addItem(draft);
+                }
+                return drafts;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$compileType',
+                    $procedure: '$listDrafts',
                     $exception: '$unexpected',
-                    $draft: draft,
-                    $text: bali.text('An unexpected error occurred while attempting to compile a draft type.')
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to list the draft documents.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -607,24 +1734,24 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method publishes the specified event in the Bali Nebula™.
-         * Any component that has registered event handlers for this type of event
-         * will be automatically notified.
+         * This method deletes from the Bali Nebula™ the saved draft document
+         * associated with the specified document citation.
          *
-         * @param {Catalog} event The Bali catalog documenting the event.
+         * @param {Catalog} citation The document citation for the draft document to be deleted.
          */
-        publishEvent: async function(event) {
+        discardDraft: async function(citation) {
             try {
-                validateParameter('$publishEvent', 'event', event, 'draft', debug);
-                event = await notary.signComponent(event);
-                await repository.queueMessage(EVENT_QUEUE_ID, event);
+                await verifyActivation('$discardDraft');
+                validateParameter('$discardDraft', 'citation', citation, 'citation', debug);
+                const documentId = extractId(citation);
+                await repository.deleteDraft(documentId);
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$publishEvent',
+                    $procedure: '$discardDraft',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to publish an event.')
+                    $text: bali.text('An unexpected error occurred while attempting to discard a draft document.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
@@ -632,114 +1759,2909 @@ exports.api = function(notary, repository, compiler, debug) {
         },
 
         /**
-         * This method sends the specified message to the document residing in the Bali
-         * Nebula™ that is referenced by the specified target document citation.
-         * The message is sent asynchronously so there is no response.
+         * This method removes from the Bali Nebula™ each draft document belonging to the
+         * account that has not been saved within the retention period specified by the draft
+         * retention policy. If the policy calls for it, each expired draft is first archived
+         * as a notarized (private) snapshot. If no retention policy was specified when the
+         * API was created, no drafts are removed. A draft that fails validation is not removed
+         * but is reported as a warning to the logger. The result is a list of catalogs of the
+         * following form:
+         * <pre>
+         * [
+         *     $citation: <the document citation for the expired draft document>
+         *     $timestamp: <the moment the draft document was last saved>
+         *     $archive: <a document citation for the archived snapshot, or none>
+         * ]
+         * </pre>
          *
-         * @param {Catalog} target A document citation referencing the document containing
-         * the target component of the message.
-         * @param {Catalog} message The message to be sent to the target component.
+         * @returns {List} A list of catalogs describing the expired draft documents.
          */
-        sendMessage: async function(target, message) {
+        purgeExpiredDrafts: async function() {
             try {
-                validateParameter('$sendMessage', 'target', target, 'citation', debug);
-                validateParameter('$sendMessage', 'message', message, 'draft', debug);
-                message.setValue('$target', target);
-                message = await notary.signComponent(message);
-                await repository.queueMessage(SEND_QUEUE_ID, message);
+                await verifyActivation('$purgeExpiredDrafts');
+                const policy = options.drafts || {};
+                const expired = bali.list();
+                if (!policy.retention) return expired;
+
+                verifyCapability(repository, 'listDrafts', '$purgeExpiredDrafts', debug);
+
+                const cutoff = bali.moment(Date.now() - policy.retention * 24 * 60 * 60 * 1000);
+                const certificateTag = (await notary.getCitation()).getValue('$tag');
+                const draftIds = await repository.listDrafts(bali.catalog({
+                    $certificate: certificateTag
+                }));
+                for (var i = 0; i < draftIds.length; i++) {
+                    const draftId = draftIds[i];
+                    const source = await repository.fetchDraft(draftId);
+                    if (!source) continue;  // the draft was deleted after it was listed
+                    const draft = bali.parse(source);
+                    if (!draft.getValue('$certificate').getValue('$tag').isEqualTo(certificateTag)) continue;
+
+                    // an invalid draft is reported and left for the account to deal with
+                    try {
+                        await validateDocument(notary, repository, cache, draft, debug);
+                    } catch (cause) {
+                        const warning = bali.catalog({
+                            $module: '/bali/services/NebulaAPI',
+                            $procedure: '$purgeExpiredDrafts',
+                            $warning: '$invalidDraft',
+                            $draftId: bali.text(draftId),
+                            $text: bali.text('A draft document that failed validation was not purged.')
+                        });
+                        logger.warn(warning.toString());
+                        continue;
+                    }
+                    if (draft.getValue('$timestamp').comparedTo(cutoff) >= 0) continue;
+
+                    // archive the draft if necessary
+                    var archiveCitation = bali.pattern.NONE;
+                    if (policy.archive) {
+                        var snapshot = bali.catalog({
+                            $draft: draft,
+                            $archived: bali.moment()
+                        }, bali.parameters({
+                            $type: '/bali/composites/Archive/v1',
+                            $tag: bali.tag(),
+                            $version: bali.version(),
+                            $permissions: '/bali/permissions/private/v1',
+                            $previous: bali.pattern.NONE
+                        }));
+                        const snapshotId = extractComponentId(snapshot);
+                        snapshot = await sealComponent('$purgeExpiredDrafts', snapshot);
+                        const document = await notary.signComponent(snapshot);
+                        archiveCitation = await notary.citeDocument(document);
+                        await repository.createDocument(snapshotId, document);
+                    }
+
+                    await repository.deleteDraft(draftId);
+                    expired.addItem(bali.catalog({
+                        $citation: await notary.citeDocument(draft),
+                        $timestamp: draft.getValue('$timestamp'),
+                        $archive: archiveCitation
+                    }));
+                }
+                return expired;
             } catch (cause) {
                 const exception = bali.exception({
                     $module: '/bali/services/NebulaAPI',
-                    $procedure: '$sendMessage',
+                    $procedure: '$purgeExpiredDrafts',
                     $exception: '$unexpected',
                     $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to send a message.')
+                    $text: bali.text('An unexpected error occurred while attempting to purge the expired draft documents.')
                 }, cause);
                 if (debug) console.error(exception.toString());
                 throw exception;
             }
         },
 
-        /**
-         * This method places the specified message on the specified queue in the Bali
-         * Nebula™. The message will be received by another task using the
-         * <code>receiveMessage(queue)</code> method with the same queue from the API.
-         *
-         * @param {Tag} queue The unique tag identifying the queue on which to place
-         * the message.
-         * @param {Catalog} message The message to be placed on the queue.
-         */
-        queueMessage: async function(queue, message) {
-            try {
-                validateParameter('$queueMessage', 'queue', queue, 'tag', debug);
-                validateParameter('$queueMessage', 'message', message, 'draft', debug);
-                message = await notary.signComponent(message);
-                const queueId = queue.getValue();
-                await repository.queueMessage(queueId, message);
-            } catch (cause) {
-                const exception = bali.exception({
-                    $module: '/bali/services/NebulaAPI',
-                    $procedure: '$queueMessage',
-                    $exception: '$unexpected',
-                    $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to queue a message.')
-                }, cause);
-                if (debug) console.error(exception.toString());
-                throw exception;
-            }
-        },
+        /**
+         * This method validates the specified draft document against the type (if any) that
+         * it is parameterized with. Each attribute defined by the type (or its parent types)
+         * must be present unless it has a default value or is optional, must have the expected
+         * type, and must satisfy any constraints on its value. If the type is closed, i.e. it
+         * contains <code>$closed: true</code>, the draft may not contain any attributes that
+         * are not defined by the type. The result is a list of catalogs, one
+         * for each violation, of the following form:
+         * <pre>
+         * [
+         *     $path: "<the path to the attribute, e.g. $address.$city>"
+         *     $violation: <$missingAttribute, $additionalAttribute, $incorrectType, $unknownType,
+         *         $invalidChoice, $belowMinimum, $aboveMaximum or $patternMismatch>
+         *     $expected: <the expected type or constraint (if any)>
+         *     $actual: <the actual value (if any)>
+         * ]
+         * </pre>
+         * An attribute definition may contain the following constraints:
+         * <pre>
+         *     $choices: <a list of the allowed values>
+         *     $minimum: <the minimum allowed value>
+         *     $maximum: <the maximum allowed value>
+         *     $pattern: "<a regular expression that the value must match>"
+         * </pre>
+         *
+         * @param {Catalog} draft The draft document to be validated.
+         * @returns {List} A list of the violations found in the draft document, empty if
+         * the draft document is valid.
+         */
+        validateDraft: async function(draft) {
+            try {
+                await verifyActivation('$validateDraft');
+                validateParameter('$validateDraft', 'draft', draft, 'draft', debug);
+                const violations = bali.list();
+                const type = draft.getParameters().getValue('$type');
+                if (type) await validateStructure(typeResolver(this), '', type, draft, violations);
+                return violations;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$validateDraft',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to validate a draft document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method commits to the Bali Nebula™ the specified draft document
+         * to be associated with the specified document citation. If the draft document
+         * is parameterized with a type, it must conform to that type. When encryption is
+         * enabled a private document is encrypted for the account and any additional
+         * recipients before it is committed, and its citation refers to the encrypted form
+         * of the document.
+         *
+         * @param {Component} draft The draft document to be committed.
+         * @param {Object} options An optional object specifying the additional accounts for
+         * which a private document should be encrypted, e.g. {recipients: [accountTag]}.
+         * @returns {Catalog} The updated citation for the committed document.
+         */
+        commitDocument: async function(draft, options) {
+            try {
+                await verifyActivation('$commitDocument');
+                validateParameter('$commitDocument', 'draft', draft, 'draft', debug);
+                options = options || {};
+                (options.recipients || []).forEach(function(recipient) {
+                    validateParameter('$commitDocument', 'recipient', recipient, 'tag', debug);
+                });
+                const violations = await this.validateDraft(draft);
+                if (violations.getSize() > 0) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$commitDocument',
+                        $exception: '$typeMismatch',
+                        $type: draft.getParameters().getValue('$type'),
+                        $violations: violations,
+                        $text: bali.text('The draft document does not conform to its type.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                draft = await sealComponent('$commitDocument', draft, options.recipients);
+                var document = await notary.signComponent(draft);
+                const documentCitation = await notary.citeDocument(document);
+                const documentId = extractId(documentCitation);
+                if (await cache.documentExists(documentId) || await repository.documentExists(documentId)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$commitDocument',
+                        $exception: '$versionExists',
+                        $documentId: bali.text(documentId),
+                        $text: bali.text('A committed version of the document referenced by the citation already exists.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                await repository.createDocument(documentId, document);
+                await cache.createDocument(documentCitation, document);
+                document = document.getValue('$component');
+                await repository.deleteDraft(documentId);
+                return documentCitation;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$commitDocument',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to commit a draft document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method retrieves from the Bali Nebula™ the committed document
+         * for the specified document citation.
+         *
+         * @param {Catalog} citation The document citation for the desired document.
+         * @returns {Component} The desired document.
+         */
+        retrieveDocument: async function(citation) {
+            try {
+                await verifyActivation('$retrieveDocument');
+                validateParameter('$retrieveDocument', 'citation', citation, 'citation', debug);
+                const documentId = extractId(citation);
+                // NOTE: only documents that this client was allowed to access are cached, the
+                // persistent store is shared so it only ever contains public documents
+                var document = await fetchCachedDocument(citation);
+                var grant;
+                if (!document) {
+                    const source = await repository.fetchDocument(documentId);
+                    if (source) {
+                        document = bali.parse(source);
+                        await validateCitation(notary, citation, document);
+                        await validateDocument(notary, repository, cache, document);
+                        grant = await authorizeAccess('$retrieveDocument', citation, document, '$retrieve');
+                        // a grant may be revoked so documents accessed using one are not cached
+                        if (!grant) await cache.createDocument(citation, document);
+                        document = document.getValue('$component');
+                    }
+                }
+                // private documents are cached in their encrypted form
+                if (document) document = await unsealComponent('$retrieveDocument', document, grant);
+                return document;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$retrieveDocument',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to retrieve a document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method retrieves from the Bali Nebula™ the version history of the committed
+         * document for the specified document citation. The history is assembled by following
+         * the chain of previous document citations back towards the first version of the
+         * document. Each version in the chain is validated along the way. The result is a
+         * catalog of the following form:
+         * <pre>
+         * [
+         *     $versions: [
+         *         [
+         *             $citation: <the document citation for the version>
+         *             $timestamp: <the moment the version was signed>
+         *             $certificate: <a citation to the certificate that signed the version>
+         *         ]
+         *         ...
+         *     ]
+         *     $next: <a citation to the next older version, or none>
+         * ]
+         * </pre>
+         * The versions are ordered from newest to oldest. If a depth is specified, no more than
+         * that many versions are returned and the next older version can be retrieved by passing
+         * the <code>$next</code> citation back into this method.
+         *
+         * @param {Catalog} citation The document citation for the most recent version of interest.
+         * @param {Object} options An optional object containing the maximum number of versions
+         * to be returned, e.g. {depth: 10}.
+         * @returns {Catalog} A catalog containing the version history of the document.
+         */
+        retrieveHistory: async function(citation, options) {
+            try {
+                await verifyActivation('$retrieveHistory');
+                validateParameter('$retrieveHistory', 'citation', citation, 'citation', debug);
+                options = options || {};
+                validateParameter('$retrieveHistory', 'depth', options.depth, 'size', debug);
+
+                const versions = bali.list();
+                while (!citation.isEqualTo(bali.pattern.NONE)) {
+                    if (options.depth && versions.getSize() >= options.depth) break;
+
+                    // retrieve and validate the version
+                    const documentId = extractId(citation);
+                    const source = await repository.fetchDocument(documentId);
+                    if (!source) {
+                        const exception = bali.exception({
+                            $module: '/bali/services/NebulaAPI',
+                            $procedure: '$retrieveHistory',
+                            $exception: '$documentMissing',
+                            $documentId: bali.text(documentId),
+                            $text: bali.text('A version of the document in the history does not exist.')
+                        });
+                        if (debug) console.error(exception.toString());
+                        throw exception;
+                    }
+                    const document = bali.parse(source);
+                    await validateCitation(notary, citation, document, debug);
+                    await validateDocument(notary, repository, cache, document, debug);
+
+                    // add the version to the history
+                    versions.addItem(bali.catalog({
+                        $citation: citation,
+                        $timestamp: document.getValue('$timestamp'),
+                        $certificate: document.getValue('$certificate')
+                    }));
+                    citation = document.getValue('$component').getParameters().getValue('$previous');
+                }
+
+                const history = bali.catalog({
+                    $versions: versions,
+                    $next: citation
+                });
+                return history;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$retrieveHistory',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to retrieve the history of a document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method compares two committed documents (typically two versions of the same
+         * document) in the Bali Nebula™ and returns the differences between them. Both
+         * documents are retrieved and validated. The result is a catalog of the following form:
+         * <pre>
+         * [
+         *     $first: <the document citation for the first document>
+         *     $second: <the document citation for the second document>
+         *     $attributes: [
+         *         [
+         *             $path: "<the path to the attribute, e.g. $address.$city>"
+         *             $change: <$added, $removed or $changed>
+         *             $from: <the value in the first document (if any)>
+         *             $to: <the value in the second document (if any)>
+         *         ]
+         *         ...
+         *     ]
+         *     $parameters: [
+         *         <the parameter changes in the same form as the attribute changes>
+         *         ...
+         *     ]
+         * ]
+         * </pre>
+         * Nested catalogs are compared attribute by attribute, all other values are compared
+         * as a whole.
+         *
+         * @param {Catalog} firstCitation The document citation for the first document.
+         * @param {Catalog} secondCitation The document citation for the second document.
+         * @returns {Catalog} A catalog describing the differences between the two documents.
+         */
+        compareDocuments: async function(firstCitation, secondCitation) {
+            try {
+                await verifyActivation('$compareDocuments');
+                validateParameter('$compareDocuments', 'firstCitation', firstCitation, 'citation', debug);
+                validateParameter('$compareDocuments', 'secondCitation', secondCitation, 'citation', debug);
+                const documents = [firstCitation, secondCitation];
+                for (var i = 0; i < documents.length; i++) {
+                    const document = await this.retrieveDocument(documents[i]);
+                    if (!document) {
+                        const exception = bali.exception({
+                            $module: '/bali/services/NebulaAPI',
+                            $procedure: '$compareDocuments',
+                            $exception: '$documentMissing',
+                            $documentId: bali.text(extractId(documents[i])),
+                            $text: bali.text('The document referenced by the citation does not exist.')
+                        });
+                        if (debug) console.error(exception.toString());
+                        throw exception;
+                    }
+                    documents[i] = document;
+                }
+                const attributes = bali.list();
+                compareCatalogs('', documents[0], documents[1], attributes);
+                const parameters = bali.list();
+                compareParameters(documents[0], documents[1], parameters);
+                const differences = bali.catalog({
+                    $first: firstCitation,
+                    $second: secondCitation,
+                    $attributes: attributes,
+                    $parameters: parameters
+                });
+                return differences;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$compareDocuments',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to compare two documents.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This function formats the differences returned by the <code>compareDocuments</code>
+         * method as lines of text suitable for a code review. Added attributes are prefixed
+         * with a '+', removed attributes with a '-' and changed attributes with a '~'.
+         *
+         * @param {Catalog} differences The differences between two documents.
+         * @returns {String} A text rendering of the differences.
+         */
+        formatDifferences: function(differences) {
+            validateParameter('$formatDifferences', 'differences', differences, 'catalog', debug);
+            var text = '--- ' + extractId(differences.getValue('$first')) + EOF;
+            text += '+++ ' + extractId(differences.getValue('$second')) + EOF;
+            text += formatChanges('attributes', differences.getValue('$attributes'));
+            text += formatChanges('parameters', differences.getValue('$parameters'));
+            return text;
+        },
+
+        /**
+         * This method checks out from the Bali Nebula™ a new draft of the
+         * committed document for the specified document citation. The version string
+         * for the new draft is calculated based on the specified level.
+         * <pre>
+         *      level     current            draft
+         *     level 1:    v5.7              v6         (interface/symantic changes)
+         *     level 2:    v5.7              v5.8       (optimization/bug fixes)
+         *     level 2:    v5.7              v5.7.1     (changes being tested)
+         * </pre>
+         *
+         * @param {Catalog} citation The document citation for the committed document.
+         * @param {Number} level The (optional) version level that should be incremented. If no
+         * level is specified, the last number in the document version string is incremented.
+         * @returns {Catalog} The document citation for the new draft document.
+         */
+        checkoutDocument: async function(citation, level) {
+            try {
+                await verifyActivation('$checkoutDocument');
+                // validate the parameters
+                validateParameter('$checkoutDocument', 'citation', citation, 'citation', debug);
+                validateParameter('$checkoutDocument', 'level', level, 'level', debug);
+
+                // create the draft citation
+                const documentVersion = citation.getValue('$version');
+                const draftVersion = bali.version.nextVersion(documentVersion, level);
+
+                // make sure that there is no document already referenced by the draft citation
+                const draftId = citation.getValue('$tag').getValue() + draftVersion;
+                if (await cache.documentExists(draftId) || await repository.documentExists(draftId) || await repository.draftExists(draftId)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$checkoutDocument',
+                        $exception: '$versionExists',
+                        $documentId: bali.text(draftId),
+                        $text: bali.text('A committed version of the document referenced by the citation already exists.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // retrieve the document to be checked out
+                const documentId = extractId(citation);
+                const source = await repository.fetchDocument(documentId);
+                if (source === undefined) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$checkoutDocument',
+                        $exception: '$documentMissing',
+                        $documentId: bali.text(documentId),
+                        $text: bali.text('The document referenced by the citation does not exist.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                var document = bali.parse(source);
+
+                // validate and cache the document
+                await validateCitation(notary, citation, document);
+                await validateDocument(notary, repository, cache, document);
+                const grant = await authorizeAccess('$checkoutDocument', citation, document, '$checkout');
+                if (!grant) await cache.createDocument(citation, document);
+                document = document.getValue('$component');
+                const recipients = [];
+                if (document.getParameters().getValue('$type') &&
+                        document.getParameters().getValue('$type').toString() === ENCRYPTED) {
+                    // the draft is encrypted for the same accounts as the document
+                    const iterator = document.getValue('$keys').getIterator();
+                    while (iterator.hasNext()) recipients.push(iterator.getNext().getKey());
+                }
+                document = await unsealComponent('$checkoutDocument', document, grant);
+
+                // store a draft copy of the document in the repository (NOTE: drafts are not cached)
+                var draft = bali.duplicate(document);
+                draft.getParameters().setParameter('$version', draftVersion);
+                draft = await sealComponent('$checkoutDocument', draft, recipients);
+                draft = await notary.signComponent(draft, citation);
+                const draftCitation = await notary.citeDocument(draft);
+                await repository.saveDraft(draftId, draft);
+
+                return draftCitation;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$checkoutDocument',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to checkout a document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method grants the specified account the specified rights to the document
+         * (or draft document) associated with the specified citation. Only the owner of the
+         * document may grant access to it. The grant is recorded as a notarized document and
+         * supersedes any previous grant for the same account. If the document is private,
+         * the key needed to decrypt it is encrypted for the account and included in the grant.
+         *
+         * @param {Catalog} citation The document citation for the document.
+         * @param {Tag} accountTag The unique tag for the account being granted access.
+         * @param {List} rights The operations that the account may perform on the document,
+         * e.g. [$retrieve, $checkout].
+         * @param {Moment} expiration An optional moment at which the grant expires.
+         * @returns {Catalog} A document citation for the grant record.
+         */
+        grantAccess: async function(citation, accountTag, rights, expiration) {
+            try {
+                await verifyActivation('$grantAccess');
+                validateParameter('$grantAccess', 'citation', citation, 'citation', debug);
+                validateParameter('$grantAccess', 'accountTag', accountTag, 'tag', debug);
+                validateParameter('$grantAccess', 'rights', rights, 'list', debug);
+                validateParameter('$grantAccess', 'expiration', expiration, 'moment', debug);
+                verifyCapability(repository, 'listNames', '$grantAccess', debug);
+                const document = await fetchOwnedDocument('$grantAccess', citation);
+
+                // include the decryption key for a private document
+                var key = bali.pattern.NONE;
+                const component = document.getValue('$component');
+                const type = component.getParameters().getValue('$type');
+                if (type && type.toString() === ENCRYPTED) {
+                    const contentKey = await notary.decryptComponent(component.getValue('$keys').getValue(notary.getAccountTag()));
+                    const certificate = await fetchCertificate(notary, repository, cache, accountTag, debug);
+                    key = await notary.encryptComponent(contentKey, certificate);
+                }
+
+                const record = bali.catalog({
+                    $document: citation,
+                    $grantee: accountTag,
+                    $rights: rights,
+                    $expiration: expiration || bali.pattern.NONE,
+                    $key: key,
+                    $granted: bali.moment()
+                }, bali.parameters({
+                    $type: '/bali/composites/Grant/v1',
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                return await commitGrant(notary, repository, citation, accountTag, record, debug);
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$grantAccess',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to grant access to a document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method revokes any access to the document (or draft document) associated
+         * with the specified citation that was previously granted to the specified account.
+         * Only the owner of the document may revoke access to it. The revocation is recorded
+         * as a notarized document that supersedes the grant.
+         *
+         * @param {Catalog} citation The document citation for the document.
+         * @param {Tag} accountTag The unique tag for the account whose access is revoked.
+         * @param {Text} reason An optional reason for the revocation.
+         * @returns {Catalog} A document citation for the revocation record.
+         */
+        revokeAccess: async function(citation, accountTag, reason) {
+            try {
+                await verifyActivation('$revokeAccess');
+                validateParameter('$revokeAccess', 'citation', citation, 'citation', debug);
+                validateParameter('$revokeAccess', 'accountTag', accountTag, 'tag', debug);
+                validateParameter('$revokeAccess', 'reason', reason, 'text', debug);
+                verifyCapability(repository, 'listNames', '$revokeAccess', debug);
+                await fetchOwnedDocument('$revokeAccess', citation);
+                const grant = await fetchGrant(notary, repository, cache, citation, notary.getAccountTag(), accountTag, debug);
+                if (!grant || !grant.getValue('$revoked').isEqualTo(bali.pattern.NONE)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$revokeAccess',
+                        $exception: '$grantMissing',
+                        $accountTag: accountTag,
+                        $text: bali.text('The account has not been granted access to the document.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                const record = bali.catalog({
+                    $document: citation,
+                    $grantee: accountTag,
+                    $rights: bali.list(),
+                    $expiration: bali.pattern.NONE,
+                    $key: bali.pattern.NONE,
+                    $revoked: bali.moment(),
+                    $reason: reason || bali.pattern.NONE
+                }, bali.parameters({
+                    $type: '/bali/composites/Grant/v1',
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                return await commitGrant(notary, repository, citation, accountTag, record, debug);
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$revokeAccess',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to revoke access to a document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method lists, for auditing purposes, every grant and revocation of access to
+         * the document (or draft document) associated with the specified citation. Each
+         * record is validated, any record that was not issued by the owner of the document is
+         * skipped, and the result is a list of catalogs of the following form ordered by
+         * account and then by the sequence in which the records were made:
+         * <pre>
+         * [
+         *     $citation: <the document citation for the grant record>
+         *     $grantee: <the unique tag for the account>
+         *     $rights: <the operations granted to the account (empty if revoked)>
+         *     $expiration: <the moment at which the grant expires (or none)>
+         *     $granted: <the moment at which access was granted (or none)>
+         *     $revoked: <the moment at which access was revoked (or none)>
+         * ]
+         * </pre>
+         *
+         * @param {Catalog} citation The document citation for the document.
+         * @returns {List} A list of the grant and revocation records for the document.
+         */
+        listGrants: async function(citation) {
+            try {
+                await verifyActivation('$listGrants');
+                validateParameter('$listGrants', 'citation', citation, 'citation', debug);
+                verifyCapability(repository, 'listNames', '$listGrants', debug);
+                const owner = await fetchSigner(repository, await fetchCitedDocument('$listGrants', citation));
+                const prefix = '/bali/grants/' + citation.getValue('$tag').getValue() + '/' + citation.getValue('$version') + '/';
+                const accounts = await listNames(repository, prefix, debug);
+                const grants = bali.list();
+                for (var i = 0; i < accounts.length; i++) {
+                    if (!accounts[i].endsWith('/')) continue;
+                    const accountTag = bali.parse('#' + accounts[i].slice(prefix.length, -1));
+                    const names = await listGrantNames(repository, citation, accountTag, debug);
+                    for (var j = 0; j < names.length; j++) {
+                        const document = await fetchGrantRecord(notary, repository, cache, names[j], citation, owner, accountTag, debug);
+                        if (!document) continue;  // the record was not issued by the owner
+                        const record = document.getValue('$component');
+                        grants.addItem(bali.catalog({
+                            $citation: await notary.citeDocument(document),
+                            $grantee: record.getValue('$grantee'),
+                            $rights: record.getValue('$rights'),
+                            $expiration: record.getValue('$expiration'),
+                            $granted: record.getValue('$granted') || bali.pattern.NONE,
+                            $revoked: record.getValue('$revoked') || bali.pattern.NONE
+                        }));
+                    }
+                }
+                return grants;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$listGrants',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to list the grants for a document.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method merges two draft documents that were checked out from the same
+         * committed document. A three-way merge of the attributes in each draft is done
+         * against the committed base document. An attribute that was changed in only one
+         * of the drafts takes on the changed value, and nested catalogs are merged attribute
+         * by attribute. An attribute that was changed differently in both drafts is a conflict.
+         * If there are conflicts and no resolution strategy was specified, an exception
+         * listing the paths to the conflicting attributes is thrown and nothing is saved.
+         * Otherwise the merged draft is saved in place of the first draft and the result is
+         * a catalog of the following form:
+         * <pre>
+         * [
+         *     $draft: <the document citation for the merged draft document>
+         *     $conflicts: [
+         *         "<the path to a conflicting attribute, e.g. $address.$city>"
+         *         ...
+         *     ]
+         * ]
+         * </pre>
+         *
+         * @param {Catalog} baseCitation The document citation for the committed base document.
+         * @param {Catalog} firstCitation The document citation for the first draft document.
+         * @param {Catalog} secondCitation The document citation for the second draft document.
+         * @param {Object} options An optional object specifying which draft should win any
+         * conflicts, e.g. {resolve: 'first'} or {resolve: 'second'}.
+         * @returns {Catalog} A catalog containing the citation for the merged draft document
+         * and the paths to any conflicting attributes.
+         */
+        mergeDrafts: async function(baseCitation, firstCitation, secondCitation, options) {
+            try {
+                await verifyActivation('$mergeDrafts');
+                validateParameter('$mergeDrafts', 'baseCitation', baseCitation, 'citation', debug);
+                validateParameter('$mergeDrafts', 'firstCitation', firstCitation, 'citation', debug);
+                validateParameter('$mergeDrafts', 'secondCitation', secondCitation, 'citation', debug);
+                options = options || {};
+                const resolution = options.resolve;
+
+                // retrieve the base document and the two drafts
+                const base = await this.retrieveDocument(baseCitation);
+                const first = await this.retrieveDraft(firstCitation);
+                const second = await this.retrieveDraft(secondCitation);
+                if (!base || !first || !second) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$mergeDrafts',
+                        $exception: '$documentMissing',
+                        $text: bali.text('The base document or one of the draft documents does not exist.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                const tag = baseCitation.getValue('$tag');
+                if (!firstCitation.getValue('$tag').isEqualTo(tag) || !secondCitation.getValue('$tag').isEqualTo(tag)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$mergeDrafts',
+                        $exception: '$tagMismatch',
+                        $tag: tag,
+                        $text: bali.text('The draft documents were not checked out from the base document.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                if (!first.getParameters().getValue('$previous').isEqualTo(baseCitation) ||
+                        !second.getParameters().getValue('$previous').isEqualTo(baseCitation)) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$mergeDrafts',
+                        $exception: '$baseMismatch',
+                        $citation: baseCitation,
+                        $text: bali.text('The draft documents were not checked out from the base version of the document.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+
+                // merge the drafts
+                const conflicts = bali.list();
+                const merged = mergeCatalogs('', base, first, second, conflicts, resolution);
+                if (conflicts.getSize() > 0 && !resolution) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$mergeDrafts',
+                        $exception: '$mergeConflicts',
+                        $conflicts: conflicts,
+                        $text: bali.text('The draft documents contain conflicting changes.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                const draftCitation = await this.saveDraft(merged);
+
+                const result = bali.catalog({
+                    $draft: draftCitation,
+                    $conflicts: conflicts
+                });
+                return result;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$mergeDrafts',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to merge two draft documents.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method compiles the document type associated with the specified document
+         * citation in the Bali Nebula™.
+         *
+         * @param {Catalog} draft The draft document for the type to be compiled.
+         * @returns {Catalog} A Bali document citation to the newly compiled type document.
+         */
+        compileType: async function(draft) {
+            try {
+                await verifyActivation('$compileType');
+                validateParameter('$compileType', 'draft', draft, 'draft', debug);
+                const parameters = draft.getParameters();
+
+                // extract any literals, constants and procedures from the parent type
+                const literals = bali.list();
+                const constants = bali.catalog();
+                var procedures = bali.catalog();
+                var parentTypeCitation = draft.getValue('$parent');
+                if (parentTypeCitation && parentTypeCitation.getTypeId() === bali.types.NAME) {
+                    const parentName = (await resolveVersion(repository, parentTypeCitation, debug)) || parentTypeCitation;
+                    await checkDeprecation('$compileType', parentName);
+                    parentTypeCitation = await this.retrieveCitation(parentName);
+                }
+                if (parentTypeCitation && parentTypeCitation.getTypeId() === bali.types.CATALOG) {
+                    const parentType = await this.retrieveDocument(parentTypeCitation);
+                    const compiledParentCitation = parentType.getValue('$compiled');
+                    if (compiledParentCitation && compiledParentCitation.getTypeId() === bali.types.CATALOG) {
+                        const compiledParent = await this.retrieveDocument(compiledParentCitation);
+                        literals.addItems(compiledParent.getValue('$literals'));
+                        constants.addItems(compiledParent.getValue('$constants'));
+                        procedures.addItems(compiledParent.getValue('$procedures'));
+                    }
+                }
+
+                // add in the constants from the child draft type
+                const items = draft.getValue('$constants');
+                if (items) constants.addItems(items);
+                var compiledCitation = draft.getValue('$compiled');
+
+                // create the compilation type context
+                const type = bali.catalog([], bali.parameters({
+                    $tag: compiledCitation ? compiledCitation.getValue('$tag') : bali.tag(),
+                    $version: parameters.getValue('$version'),
+                    $permissions: parameters.getValue('$permissions'),
+                    $previous: compiledCitation || bali.pattern.NONE
+                }));
+                type.setValue('$literals', literals);
+                type.setValue('$constants', constants);
+                type.setValue('$procedures', procedures);
+
+                // compile each procedure defined in the type definition document
+                var association, name, procedure;
+                procedures = draft.getValue('$procedures');
+                if (procedures) {
+                    // iterate through procedure definitions
+                    var iterator = procedures.getIterator();
+                    procedures = bali.catalog();  // for compiled procedures
+                    while (iterator.hasNext()) {
+
+                        // retrieve the source code for the procedure
+                        association = iterator.getNext();
+                        name = association.getKey();
+                        const source = association.getValue().getValue('$source');
+
+                        // compile the source code
+                        procedure = compiler.compile(type, source, debug);
+                        procedures.setValue(name, procedure);  // compiled procedure
+                    }
+
+                    // iterate through the compiled procedures
+                    iterator = procedures.getIterator();
+                    while (iterator.hasNext()) {
+
+                        // retrieve the compiled procedure
+                        association = iterator.getNext();
+                        name = association.getKey();
+                        procedure = association.getValue();
+
+                        // assemble the instructions in the procedure into bytecode
+                        compiler.assemble(type, procedure, debug);
+
+                        // add the assembled procedure to the type context
+                        type.getValue('$procedures').setValue(name, procedure);
+                    }
+                }
+
+                // checkin the draft and newly compiled type
+                // TODO: replace this logic with calls to notaryDocument and then make remote call
+                //       compile the type and verify that the result is identical before posting.
+                compiledCitation = await this.commitDocument(type);
+                draft.setValue('$compiled', compiledCitation);
+                const typeCitation = await this.commitDocument(draft);
+
+                return typeCitation;
+
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$compileType',
+                    $exception: '$unexpected',
+                    $draft: draft,
+                    $text: bali.text('An unexpected error occurred while attempting to compile a draft type.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method publishes the specified event in the Bali Nebula™.
+         * Any component that has registered event handlers for this type of event
+         * will be automatically notified.
+         *
+         * @param {Catalog} event The Bali catalog documenting the event.
+         */
+        publishEvent: async function(event) {
+            try {
+                await verifyActivation('$publishEvent');
+                validateParameter('$publishEvent', 'event', event, 'draft', debug);
+                const queueId = (await resolveQueues()).event;
+                event = await notary.signComponent(event);
+                await repository.queueMessage(queueId, event);
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$publishEvent',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to publish an event.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method sends the specified message to the document residing in the Bali
+         * Nebula™ that is referenced by the specified target document citation.
+         * The message is sent asynchronously so there is no response.
+         *
+         * @param {Catalog} target A document citation referencing the document containing
+         * the target component of the message.
+         * @param {Catalog} message The message to be sent to the target component.
+         */
+        sendMessage: async function(target, message) {
+            try {
+                await verifyActivation('$sendMessage');
+                validateParameter('$sendMessage', 'target', target, 'citation', debug);
+                validateParameter('$sendMessage', 'message', message, 'draft', debug);
+                const queueId = (await resolveQueues()).send;
+                message.setValue('$target', target);
+                message = await notary.signComponent(message);
+                await repository.queueMessage(queueId, message);
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$sendMessage',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to send a message.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method returns the system queues used by this client. They are defined in
+         * a named configuration document that is shared with the virtual machine, and may be
+         * overridden for each client. The result is a catalog of the following form:
+         * <pre>
+         * [
+         *     $send: <the unique tag for the queue on which messages are sent>
+         *     $event: <the unique tag for the queue on which events are published>
+         *     $reply: <the unique tag for the queue on which this client receives replies>
+         * ]
+         * </pre>
+         *
+         * @returns {Catalog} A catalog containing the system queues.
+         */
+        retrieveQueues: async function() {
+            try {
+                await verifyActivation('$retrieveQueues');
+                const resolved = await resolveQueues();
+                const result = bali.catalog({
+                    $send: bali.parse('#' + resolved.send),
+                    $event: bali.parse('#' + resolved.event),
+                    $reply: bali.parse('#' + resolved.reply)
+                });
+                return result;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$retrieveQueues',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to retrieve the system queues.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method sends the specified request message to the document residing in the
+         * Bali Nebula™ that is referenced by the specified target document citation, and
+         * waits for the reply. The request is stamped with a unique '$correlationId' and
+         * with the '$replyTo' queue on which this client receives replies. The target
+         * component responds using the <code>reply(request, response)</code> method. Only a
+         * reply that was signed by the account that owns the target document is accepted. If
+         * no such reply arrives before the timeout, a '$timeout' exception is thrown.
+         *
+         * @param {Catalog} target A document citation referencing the document containing
+         * the target component of the request.
+         * @param {Catalog} message The request message to be sent to the target component.
+         * @param {Object} options An optional object specifying the number of seconds to wait
+         * for the reply, e.g. {timeout: 30}.
+         * @returns {Catalog} The reply to the request.
+         */
+        sendRequest: async function(target, message, options) {
+            try {
+                await verifyActivation('$sendRequest');
+                validateParameter('$sendRequest', 'target', target, 'citation', debug);
+                validateParameter('$sendRequest', 'message', message, 'draft', debug);
+                options = options || {};
+                validateParameter('$sendRequest', 'timeout', options.timeout, 'count', debug);
+                const timeout = options.timeout || DEFAULT_TIMEOUT;
+                const owner = await fetchSigner(repository, await fetchCitedDocument('$sendRequest', target));
+                const correlationId = bali.tag();
+                message.setValue('$correlationId', correlationId);
+                message.setValue('$replyTo', bali.parse('#' + (await resolveQueues()).reply));
+
+                // register the request before sending it so that the reply cannot be missed
+                const reply = new Promise(function(resolve, reject) {
+                    const timer = setTimeout(function() {
+                        pending.delete(correlationId.toString());
+                        const exception = bali.exception({
+                            $module: '/bali/services/NebulaAPI',
+                            $procedure: '$sendRequest',
+                            $exception: '$timeout',
+                            $correlationId: correlationId,
+                            $timeout: timeout,
+                            $text: bali.text('No reply to the request was received in time.')
+                        });
+                        if (debug) console.error(exception.toString());
+                        reject(exception);
+                    }, timeout * 1000);
+                    pending.set(correlationId.toString(), {resolve: resolve, reject: reject, timer: timer, owner: owner});
+                });
+                try {
+                    await this.sendMessage(target, message);
+                } catch (cause) {
+                    clearTimeout(pending.get(correlationId.toString()).timer);
+                    pending.delete(correlationId.toString());
+                    throw cause;
+                }
+                pollReplies();  // runs until there are no pending requests
+                return await reply;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$sendRequest',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to send a request.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method sends the specified response as the reply to the specified request
+         * message that was sent using the <code>sendRequest(target, message)</code> method.
+         * The response is stamped with the '$correlationId' of the request and placed on
+         * the '$replyTo' queue of the request.
+         *
+         * @param {Catalog} request The request message.
+         * @param {Catalog} response The response to the request.
+         */
+        reply: async function(request, response) {
+            try {
+                await verifyActivation('$reply');
+                validateParameter('$reply', 'request', request, 'catalog', debug);
+                validateParameter('$reply', 'response', response, 'draft', debug);
+                const correlationId = request.getValue('$correlationId');
+                const replyTo = request.getValue('$replyTo');
+                if (!correlationId || !replyTo) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$reply',
+                        $exception: '$invalidRequest',
+                        $text: bali.text('The message is not a request that expects a reply.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                response.setValue('$correlationId', correlationId);
+                await this.queueMessage(replyTo, response);
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$reply',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to reply to a request.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method places the specified message on the specified queue in the Bali
+         * Nebula™. The message will be received by another task using the
+         * <code>receiveMessage(queue)</code> method with the same queue from the API.
+         *
+         * @param {Tag} queue The unique tag identifying the queue on which to place
+         * the message.
+         * @param {Catalog} message The message to be placed on the queue.
+         */
+        queueMessage: async function(queue, message) {
+            try {
+                await verifyActivation('$queueMessage');
+                validateParameter('$queueMessage', 'queue', queue, 'tag', debug);
+                validateParameter('$queueMessage', 'message', message, 'draft', debug);
+                message = await notary.signComponent(message);
+                const queueId = queue.getValue();
+                await repository.queueMessage(queueId, message);
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$queueMessage',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to queue a message.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method receives a message from the specified queue in the Bali
+         * Nebula™. The message was placed there by another task using the
+         * <code>queueMessage(queue, message)</code> method with the same queue from the API.
+         * If there are no messages on the queue, the result of this call will be 'none'.
+         * <p>
+         * By default the message is removed from the queue when it is received. If a lease
+         * is requested, the message is instead hidden from other receivers for the duration
+         * of the lease and is returned to the queue if the lease expires before the message
+         * is acknowledged, so each message is delivered at least once (as long as the lease
+         * itself is stored durably by the repository, which the repository extensions for a
+         * remote repository only do when given a local directory). If a dead-letter queue
+         * has been linked to the queue, a message that has been delivered more times than the
+         * redelivery limit allows, or whose signature is invalid, is moved to the dead-letter
+         * queue (along with a notarized record of why) instead of being received. The result
+         * of a leased receipt is a catalog of the following form:
+         * <pre>
+         * [
+         *     $message: <the message received from the queue>
+         *     $lease: [
+         *         $queue: <the unique tag identifying the queue>
+         *         $handle: <the unique tag identifying the lease>
+         *         $expires: <the moment at which the lease expires>
+         *     ]
+         * ]
+         * </pre>
+         *
+         * @param {Tag} queue The unique tag identifying the queue from which to receive
+         * the message.
+         * @param {Object} options An optional object specifying the number of seconds for
+         * which the message should be leased, and the number of seconds to wait for a message
+         * to arrive if the queue is empty, e.g. {lease: 30, wait: 20}.
+         * @returns {Component} The message received from the queue.
+         */
+        receiveMessage: async function(queue, options) {
+            try {
+                await verifyActivation('$receiveMessage');
+                validateParameter('$receiveMessage', 'queue', queue, 'tag', debug);
+                options = options || {};
+                validateParameter('$receiveMessage', 'lease', options.lease, 'count', debug);
+                validateParameter('$receiveMessage', 'wait', options.wait, 'duration', debug);
+                const received = await receiveDocument('$receiveMessage', queue, options);
+                if (received) return receivedMessage(queue, received);
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$receiveMessage',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to receive a message.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method lists the records for the messages that have been moved from the
+         * specified queue to its dead-letter queue. The records are not removed from the
+         * dead-letter queue. Each record is validated and has the following form:
+         * <pre>
+         * [
+         *     $queue: <the unique tag identifying the queue>
+         *     $reason: <$redeliveryLimit or $invalidMessage>
+         *     $deliveries: <the number of times the message was leased (as counted by the
+         *                   repository), or 1 if it was received without a lease>
+         *     $exception: <the reason the message was invalid (or none)>
+         *     $message: <the notarized message>
+         *     $deadLettered: <the moment at which the message was moved>
+         * ]($tag: <the unique tag identifying the record> ...)
+         * </pre>
+         *
+         * @param {Tag} queue The unique tag identifying the queue.
+         * @returns {List} A list of the dead-letter records.
+         */
+        listDeadLetters: async function(queue) {
+            try {
+                await verifyActivation('$listDeadLetters');
+                validateParameter('$listDeadLetters', 'queue', queue, 'tag', debug);
+                const policy = deadLetterPolicy('$listDeadLetters', queue, true);
+                const records = bali.list();
+                (await peekDeadLetters('$listDeadLetters', policy)).forEach(function(record) {
+                    records.addItem(record);
+                });
+                return records;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$listDeadLetters',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to list dead-lettered messages.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method moves the specified records (or all records if none are specified)
+         * from the dead-letter queue for the specified queue, placing their messages back on
+         * the original queue so that they can be received again.
+         *
+         * @param {Tag} queue The unique tag identifying the queue.
+         * @param {Array} tags An optional array of the unique tags identifying the records
+         * whose messages should be replayed.
+         * @returns {List} A list of the unique tags identifying the replayed records.
+         */
+        replayDeadLetters: async function(queue, tags) {
+            try {
+                await verifyActivation('$replayDeadLetters');
+                validateParameter('$replayDeadLetters', 'queue', queue, 'tag', debug);
+                (tags || []).forEach(function(tag) {
+                    validateParameter('$replayDeadLetters', 'tag', tag, 'tag', debug);
+                });
+                const policy = deadLetterPolicy('$replayDeadLetters', queue, true);
+                const selected = selectRecords(tags);
+                const replayed = bali.list();
+                await drainDeadLetters('$replayDeadLetters', policy, async function(record) {
+                    if (!selected(record)) return false;
+                    await repository.queueMessage(record.getValue('$queue').getValue(), record.getValue('$message'));
+                    replayed.addItem(record.getParameters().getValue('$tag'));
+                    return true;
+                });
+                return replayed;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$replayDeadLetters',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to replay dead-lettered messages.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method permanently removes the specified records (or all records if none are
+         * specified) from the dead-letter queue for the specified queue.
+         *
+         * @param {Tag} queue The unique tag identifying the queue.
+         * @param {Array} tags An optional array of the unique tags identifying the records
+         * to be removed.
+         * @returns {List} A list of the unique tags identifying the removed records.
+         */
+        purgeDeadLetters: async function(queue, tags) {
+            try {
+                await verifyActivation('$purgeDeadLetters');
+                validateParameter('$purgeDeadLetters', 'queue', queue, 'tag', debug);
+                (tags || []).forEach(function(tag) {
+                    validateParameter('$purgeDeadLetters', 'tag', tag, 'tag', debug);
+                });
+                const policy = deadLetterPolicy('$purgeDeadLetters', queue, true);
+                const selected = selectRecords(tags);
+                const purged = bali.list();
+                await drainDeadLetters('$purgeDeadLetters', policy, async function(record) {
+                    if (!selected(record)) return false;
+                    purged.addItem(record.getParameters().getValue('$tag'));
+                    return true;
+                });
+                return purged;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$purgeDeadLetters',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to purge dead-lettered messages.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method returns an asynchronous iterator over the validated messages received
+         * from the specified queue, for use in a <code>for await</code> loop. Up to the
+         * specified number of messages are received concurrently ahead of their consumption.
+         * When the queue is empty it is checked again after a delay that doubles each time
+         * (up to a maximum) until a message arrives. Consumption stops gracefully when the
+         * specified abort signal is triggered: any messages already received are still
+         * returned before the iterator ends. If instead the iterator is closed early (e.g.
+         * by breaking out of the loop), any messages that were received but not consumed
+         * are placed back on the queue, or their leases are released. If leases are
+         * requested, each message is returned along with its lease (see
+         * <code>receiveMessage(queue, options)</code>). The account must have been activated
+         * before any messages are received.
+         *
+         * @param {Tag} queue The unique tag identifying the queue from which to receive
+         * the messages.
+         * @param {Object} options An optional object specifying the number of concurrent
+         * receivers, the (positive) initial and maximum backoff in seconds, an abort signal and the
+         * number of seconds for which each message is leased, e.g.
+         * {concurrency: 4, backoff: {initial: 0.25, maximum: 5}, signal: controller.signal, lease: 30}.
+         * @returns {Object} An asynchronous iterator over the messages.
+         */
+        consumeQueue: function(queue, options) {
+            try {
+                validateParameter('$consumeQueue', 'queue', queue, 'tag', debug);
+                options = options || {};
+                validateParameter('$consumeQueue', 'concurrency', options.concurrency, 'count', debug);
+                validateParameter('$consumeQueue', 'lease', options.lease, 'count', debug);
+                const backoff = options.backoff || {};
+                validateParameter('$consumeQueue', 'backoff.initial', backoff.initial, 'count', debug);
+                validateParameter('$consumeQueue', 'backoff.maximum', backoff.maximum, 'count', debug);
+                const concurrency = options.concurrency || 1;
+                const initialDelay = (backoff.initial || POLLING_INTERVAL / 1000) * 1000;
+                const maximumDelay = Math.max((backoff.maximum || MAXIMUM_BACKOFF) * 1000, initialDelay);
+                const signal = options.signal;
+                const receiveOptions = {lease: options.lease};
+
+                // the account must be activated before any messages are received
+                const activation = verifyActivation('$consumeQueue');
+                activation.catch(function() {});  // the failure is reported by next()
+
+                const buffer = [];  // messages that have been received but not consumed
+                const consumers = [];  // consumers that are waiting for a message
+                var receivers = 0;
+                var closed = false;
+                var failure;
+
+                const stopped = function() {
+                    return closed || failure || (signal && signal.aborted);
+                };
+
+                const settle = function() {
+                    while (consumers.length && buffer.length) {
+                        consumers.shift().resolve({value: receivedMessage(queue, buffer.shift()), done: false});
+                    }
+                    if (stopped() && !buffer.length && !receivers) {
+                        while (consumers.length) {
+                            const consumer = consumers.shift();
+                            if (failure) {
+                                consumer.reject(failure);
+                            } else {
+                                consumer.resolve({value: undefined, done: true});
+                            }
+                        }
+                    }
+                };
+
+                const receive = async function() {
+                    receivers++;
+                    var delay = initialDelay;
+                    try {
+                        await activation;
+                        while (!stopped() && buffer.length < concurrency) {
+                            const received = await receiveDocument('$consumeQueue', queue, receiveOptions);
+                            if (received && closed) {
+                                await restoreMessage(queue, received);  // it can no longer be consumed
+                            } else if (received) {
+                                buffer.push(received);
+                                delay = initialDelay;
+                                settle();
+                            } else {
+                                await sleep(delay, signal);
+                                delay = Math.min(delay * 2, maximumDelay);
+                            }
+                        }
+                    } catch (cause) {
+                        failure = failure || cause;
+                    } finally {
+                        receivers--;
+                        settle();
+                    }
+                };
+
+                const iterator = {
+                    next: function() {
+                        return new Promise(function(resolve, reject) {
+                            consumers.push({resolve: resolve, reject: reject});
+                            settle();
+                            while (receivers < concurrency && buffer.length < concurrency && !stopped()) receive();
+                        });
+                    },
+                    return: async function() {
+                        closed = true;
+                        const unconsumed = buffer.splice(0);
+                        for (var i = 0; i < unconsumed.length; i++) {
+                            await restoreMessage(queue, unconsumed[i]);
+                        }
+                        settle();
+                        return {value: undefined, done: true};
+                    }
+                };
+                iterator[Symbol.asyncIterator] = function() { return iterator; };
+                return iterator;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$consumeQueue',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to consume a queue.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method acknowledges that the message associated with the specified lease
+         * has been processed, and removes the message from its queue. A message whose lease
+         * has already expired may have been returned to the queue, in which case it cannot
+         * be acknowledged.
+         *
+         * @param {Catalog} lease The lease returned when the message was received.
+         */
+        acknowledgeMessage: async function(lease) {
+            try {
+                await verifyActivation('$acknowledgeMessage');
+                validateParameter('$acknowledgeMessage', 'lease', lease, 'catalog', debug);
+                verifyCapability(repository, 'acknowledgeMessage', '$acknowledgeMessage', debug);
+                const queueId = lease.getValue('$queue').getValue();
+                const handle = lease.getValue('$handle').getValue();
+                if (!(await repository.acknowledgeMessage(queueId, handle))) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$acknowledgeMessage',
+                        $exception: '$leaseExpired',
+                        $lease: lease,
+                        $text: bali.text('The lease on the message has expired.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$acknowledgeMessage',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to acknowledge a message.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        /**
+         * This method extends the lease on a received message so that it remains hidden
+         * from other receivers for the specified number of seconds from now.
+         *
+         * @param {Catalog} lease The lease returned when the message was received.
+         * @param {Number} seconds The number of seconds for which to extend the lease.
+         * @returns {Catalog} The updated lease.
+         */
+        extendLease: async function(lease, seconds) {
+            try {
+                await verifyActivation('$extendLease');
+                validateParameter('$extendLease', 'lease', lease, 'catalog', debug);
+                validateParameter('$extendLease', 'seconds', seconds, 'count', debug);
+                verifyCapability(repository, 'extendLease', '$extendLease', debug);
+                const queueId = lease.getValue('$queue').getValue();
+                const handle = lease.getValue('$handle').getValue();
+                const source = await repository.extendLease(queueId, handle, seconds);
+                if (!source) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$extendLease',
+                        $exception: '$leaseExpired',
+                        $lease: lease,
+                        $text: bali.text('The lease on the message has expired.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+                const result = bali.catalog({
+                    $queue: lease.getValue('$queue'),
+                    $handle: lease.getValue('$handle'),
+                    $expires: bali.parse(source)
+                });
+                return result;
+            } catch (cause) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$extendLease',
+                    $exception: '$unexpected',
+                    $accountTag: notary.getAccountTag(),
+                    $text: bali.text('An unexpected error occurred while attempting to extend the lease on a message.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        }
+    };
+};
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function extracts the '$tag' and '$version' attributes from the specified catalog
+ * and uses them to form a unique identification string.
+ *
+ * @param {Catalog} catalog A catalog component.
+ * @returns {String} A unique identification string for the component.
+ */
+const extractId = function(catalog) {
+    const id = catalog.getValue('$tag').getValue() + catalog.getValue('$version');
+    return id;
+};
+
+
+/**
+ * This function extracts the '$tag' and '$version' parameters from the specified component
+ * and uses them to form a unique identification string.
+ *
+ * @param {Component} component A parameterized component.
+ * @returns {String} A unique identification string for the component.
+ */
+const extractComponentId = function(component) {
+    const parameters = component.getParameters();
+    const id = parameters.getValue('$tag').getValue() + parameters.getValue('$version');
+    return id;
+};
+
+
+/**
+ * This function retrieves from the repository the latest version of the account document
+ * for the account that owns the notary key (see <code>fetchAccountDocument</code>).
+ *
+ * @param {Object} notary The notary for the account.
+ * @param {Object} repository The document repository containing the account document.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The latest version of the notarized account document, or undefined
+ * if the account has not been registered.
+ */
+const fetchAccount = async function(notary, repository, cache, debug) {
+    debug = debug || false;
+    return await fetchAccountDocument(notary, repository, cache, notary.getAccountTag(), debug);
+};
+
+
+/**
+ * This function retrieves from the repository the latest version of the account document
+ * for the specified account that was signed by the account itself. Any later version that
+ * was signed by another account is ignored. The account document is validated before it
+ * is returned.
+ *
+ * @param {Object} notary The notary to be used for validating the account document.
+ * @param {Object} repository The document repository containing the account document.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The latest version of the notarized account document, or undefined
+ * if the account has not been registered.
+ */
+const fetchAccountDocument = async function(notary, repository, cache, accountTag, debug) {
+    debug = debug || false;
+    const tag = accountTag.getValue();
+    const versions = [];
+    var version = bali.version();
+    while (await repository.documentExists(tag + version)) {
+        versions.push(version);
+        version = bali.version.nextVersion(version);
+    }
+    while (versions.length) {
+        const source = await repository.fetchDocument(tag + versions.pop());
+        const document = bali.parse(source);
+        await validateDocument(notary, repository, cache, document, debug);
+        const signer = await fetchSigner(repository, document);
+        if (signer && signer.isEqualTo(accountTag)) return document;
+    }
+};
+
+
+/**
+ * This function resolves a version range to the highest matching version of a name for
+ * which a citation exists in the repository. If the name ends with an exact version it is
+ * not a version range and nothing is returned. The following version ranges are supported:
+ * <pre>
+ *     /bali/types/Component         the highest version of any level
+ *     /bali/types/Component/vx      the highest version of any level
+ *     /bali/types/Component/v2.x    the highest v2 version, e.g. v2.4 or v2.3.1
+ * </pre>
+ *
+ * If the repository does not support listing names, version ranges are not resolved.
+ *
+ * @param {Object} repository The document repository containing the named citations.
+ * @param {Name} name The name specifying the version range.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Name} The name with the highest version in the range, or undefined if there
+ * is no such name.
+ */
+const resolveVersion = async function(repository, name, debug) {
+    debug = debug || false;
+    if (!repository.listNames) return;
+    const segments = name.toString().split('/');
+    const last = segments[segments.length - 1];
+    if (/^v\d+(\.\d+)*$/.test(last)) return;  // an exact version
+    var prefix = name.toString() + '/';
+    var range = '';
+    if (/^v(\d+\.)*x$/.test(last)) {
+        prefix = segments.slice(0, -1).join('/') + '/';
+        range = last.slice(1, -1);  // e.g. 'v2.x' -> '2.'
+    }
+    const names = await listNames(repository, prefix, debug);
+
+    // find the highest matching version
+    var highest, highestLevels;
+    names.forEach(function(candidate) {
+        const version = candidate.slice(prefix.length);
+        if (!/^v\d+(\.\d+)*$/.test(version)) return;
+        if (!(version.slice(1) + '.').startsWith(range)) return;
+        const levels = version.slice(1).split('.').map(Number);
+        if (highest && compareLevels(levels, highestLevels) <= 0) return;
+        highest = candidate;
+        highestLevels = levels;
+    });
+    if (highest) return bali.parse(highest);
+};
+
+
+/**
+ * This function compares two arrays of version levels.
+ *
+ * @param {Array} first The first array of version levels.
+ * @param {Array} second The second array of version levels.
+ * @returns {Number} A negative number if the first version is lower, zero if they are the
+ * same, and a positive number if the first version is higher.
+ */
+const compareLevels = function(first, second) {
+    for (var i = 0; i < Math.min(first.length, second.length); i++) {
+        if (first[i] !== second[i]) return first[i] - second[i];
+    }
+    return first.length - second.length;
+};
+
+
+/**
+ * This function verifies that the repository supports the specified optional capability,
+ * e.g. leasing messages.
+ *
+ * @param {Object} repository The document repository.
+ * @param {String} capability The name of the repository function providing the capability.
+ * @param {String} procedure The name of the procedure requiring the capability.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ */
+const verifyCapability = function(repository, capability, procedure, debug) {
+    debug = debug || false;
+    if (!repository[capability]) {
+        const exception = bali.exception({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: procedure,
+            $exception: '$notSupported',
+            $repository: repository.getURI(),
+            $capability: bali.text(capability),
+            $text: bali.text('The document repository does not support the capability.')
+        });
+        if (debug) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+/**
+ * This function retrieves from the repository the names that are direct children of the
+ * namespace specified by the prefix. The name of each child namespace ends with a '/'.
+ *
+ * @param {Object} repository The document repository containing the named citations.
+ * @param {String} prefix The namespace followed by a '/', e.g. '/acme/types/'.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Array} An array containing the child names as strings.
+ */
+const listNames = async function(repository, prefix, debug) {
+    debug = debug || false;
+    if (!repository.listNames) {
+        const exception = bali.exception({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: '$listNames',
+            $exception: '$notSupported',
+            $repository: repository.getURI(),
+            $text: bali.text('The document repository does not support listing names.')
+        });
+        if (debug) console.error(exception.toString());
+        throw exception;
+    }
+    const names = await repository.listNames(prefix);
+    return names.map(function(name) {
+        return name.toString();
+    }).filter(function(name) {
+        return name.startsWith(prefix) && name.length > prefix.length;
+    });
+};
+
+
+/**
+ * This function returns the global name under which the revocation record for the
+ * certificate referenced by the specified document citation is stored.
+ *
+ * @param {Catalog} citation A document citation for a certificate.
+ * @returns {Name} The name of the revocation record for the certificate.
+ */
+const revocationName = function(citation) {
+    const name = bali.parse('/bali/revocations/' + citation.getValue('$tag').getValue() + '/' + citation.getValue('$version'));
+    return name;
+};
+
+
+/**
+ * This function retrieves from the repository the revocation record (if one exists) for
+ * the certificate referenced by the specified document citation. The revocation record
+ * must have been signed using a certificate from the same certificate chain. A certificate
+ * (e.g. one whose key was compromised) may be revoked using its own key, in which case the
+ * revocation record is not itself subject to the revocation it records.
+ *
+ * @param {Object} notary The notary to be used for validating the revocation record.
+ * @param {Object} repository The document repository containing the revocation record.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Catalog} citation A document citation for the certificate.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Moment} The moment at which the certificate was revoked, or undefined if the
+ * certificate has not been revoked.
+ */
+const fetchRevocation = async function(notary, repository, cache, citation, debug) {
+    debug = debug || false;
+    const certificateId = extractId(citation);
+    const status = cache.fetchRevocation(certificateId);
+    if (status) return status.revoked;
+    const name = revocationName(citation);
+    var recordCitation;
+    var source = await repository.fetchCitation(name);
+    if (source) {
+        recordCitation = bali.parse(source);
+        source = await repository.fetchDocument(extractId(recordCitation));
+    }
+    if (!source) {
+        cache.createRevocation(certificateId);  // not (yet) revoked
+        return;
+    }
+    const document = bali.parse(source);
+    await validateCitation(notary, recordCitation, document, debug);
+    const record = document.getValue('$component');
+    if (!record.getValue('$certificate').isEqualTo(citation) ||
+            !document.getValue('$certificate').getValue('$tag').isEqualTo(citation.getValue('$tag'))) {
+        const exception = bali.exception({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: '$fetchRevocation',
+            $exception: '$invalidRevocation',
+            $citation: citation,
+            $text: bali.text('The revocation record was not issued by the owner of the certificate.')
+        });
+        if (debug) console.error(exception.toString());
+        throw exception;
+    }
+    if (document.getValue('$certificate').isEqualTo(citation)) {
+        // validate the certificate and then the signature without checking for revocation
+        source = await repository.fetchDocument(certificateId);
+        const certificate = source ? bali.parse(source) : undefined;
+        if (certificate) {
+            await validateCitation(notary, citation, certificate, debug);
+            await validateDocument(notary, repository, cache, certificate, debug);
+        }
+        if (!certificate || !(await notary.documentIsValid(document, certificate.getValue('$component')))) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: '$fetchRevocation',
+                $exception: '$invalidRevocation',
+                $citation: citation,
+                $text: bali.text('The signature on the revocation record is invalid.')
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+    } else {
+        await validateDocument(notary, repository, cache, document, debug);
+    }
+    const revoked = record.getValue('$revoked');
+    cache.createRevocation(certificateId, revoked);
+    return revoked;
+};
+
+
+/**
+ * This function determines the moment (if any) at which the certificate referenced by the
+ * specified document citation was retired, i.e. the moment at which its successor was
+ * signed when the notary key was rotated.
+ *
+ * @param {Object} repository The document repository containing the certificates.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Catalog} citation A document citation for the certificate.
+ * @returns {Moment} The moment at which the certificate was retired, or undefined if the
+ * certificate is still current.
+ */
+const fetchRetirement = async function(repository, cache, citation) {
+    const certificateId = extractId(citation);
+    const status = cache.fetchRetirement(certificateId);
+    if (status) return status.retired;
+    const successorId = citation.getValue('$tag').getValue() +
+        bali.version.nextVersion(citation.getValue('$version'));
+    const source = await repository.fetchDocument(successorId);
+    const retired = source ? bali.parse(source).getValue('$timestamp') : undefined;
+    cache.createRetirement(certificateId, retired);
+    return retired;
+};
+
+
+/**
+ * This function returns the name under which the claim record for the specified namespace
+ * is stored.
+ *
+ * @param {Name} namespace The claimed namespace.
+ * @returns {Name} The name of the claim record.
+ */
+const claimName = function(namespace) {
+    const name = bali.parse('/bali/claims' + namespace);
+    return name;
+};
+
+
+/**
+ * This function returns the name under which the record delegating the specified namespace
+ * to the specified account is stored.
+ *
+ * @param {Name} namespace The delegated namespace.
+ * @param {Tag} accountTag The unique tag for the account being delegated to.
+ * @returns {Name} The name of the delegation record.
+ */
+const delegationName = function(namespace, accountTag) {
+    const name = bali.parse('/bali/delegations' + namespace + '/' + accountTag.getValue());
+    return name;
+};
+
+
+/**
+ * This function retrieves from the repository the notarized record (if one exists) that
+ * is associated with the specified name. The record is validated before it is returned.
+ *
+ * @param {Object} notary The notary to be used for validating the record.
+ * @param {Object} repository The document repository containing the record.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Name} name The name associated with the record.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The notarized record, or undefined if no record exists.
+ */
+const fetchRecord = async function(notary, repository, cache, name, debug) {
+    debug = debug || false;
+    var source = await repository.fetchCitation(name);
+    if (!source) return;
+    const recordCitation = bali.parse(source);
+    source = await repository.fetchDocument(extractId(recordCitation));
+    if (!source) return;
+    const document = bali.parse(source);
+    await validateCitation(notary, recordCitation, document, debug);
+    await validateDocument(notary, repository, cache, document, debug);
+    return document;
+};
+
+
+/**
+ * This function returns the unique tag for the account whose certificate was used to sign
+ * the specified notarized document.
+ *
+ * @param {Object} repository The document repository containing the certificate.
+ * @param {Catalog} document The notarized document.
+ * @returns {Tag} The unique tag for the account that signed the document.
+ */
+const fetchSigner = async function(repository, document) {
+    const citation = document.getValue('$certificate');
+    if (citation.isEqualTo(bali.pattern.NONE)) {
+        // a certificate is signed using its own key
+        return document.getValue('$component').getValue('$account');
+    }
+    const source = await repository.fetchDocument(extractId(citation));
+    const certificate = bali.parse(source);
+    return certificate.getValue('$component').getValue('$account');
+};
+
+
+/**
+ * This function retrieves the claim record for the innermost claimed namespace that
+ * encloses (or equals) the specified name.
+ *
+ * @param {Object} notary The notary to be used for validating the claim record.
+ * @param {Object} repository The document repository containing the claim record.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Name} name The name to be checked.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The claim record, or undefined if the name is not within a claimed
+ * namespace.
+ */
+const fetchClaim = async function(notary, repository, cache, name, debug) {
+    debug = debug || false;
+    const segments = name.toString().split('/').slice(1);
+    while (segments.length) {
+        const namespace = bali.parse('/' + segments.join('/'));
+        const document = await fetchRecord(notary, repository, cache, claimName(namespace), debug);
+        if (document) {
+            const claim = document.getValue('$component');
+            if (!(await fetchSigner(repository, document)).isEqualTo(claim.getValue('$owner'))) {
+                const exception = bali.exception({
+                    $module: '/bali/services/NebulaAPI',
+                    $procedure: '$fetchClaim',
+                    $exception: '$invalidClaim',
+                    $namespace: namespace,
+                    $text: bali.text('The claim record was not issued by the owner of the namespace.')
+                });
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+            return claim;
+        }
+        segments.pop();
+    }
+};
+
+
+/**
+ * This function determines whether or not the specified account owns the namespace
+ * associated with the specified claim record or has been delegated to by its owner.
+ *
+ * @param {Object} notary The notary to be used for validating the delegation record.
+ * @param {Object} repository The document repository containing the delegation record.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Catalog} claim The claim record for the namespace.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Boolean} Whether or not the account is authorized within the namespace.
+ */
+const isAuthorized = async function(notary, repository, cache, claim, accountTag, debug) {
+    debug = debug || false;
+    const owner = claim.getValue('$owner');
+    if (owner.isEqualTo(accountTag)) return true;
+    const name = delegationName(claim.getValue('$namespace'), accountTag);
+    const document = await fetchRecord(notary, repository, cache, name, debug);
+    if (!document) return false;
+    const delegation = document.getValue('$component');
+    return delegation.getValue('$delegate').isEqualTo(accountTag) &&
+        (await fetchSigner(repository, document)).isEqualTo(owner);
+};
+
+
+/**
+ * This function returns the name under which the deprecation record for the specified
+ * name is stored.
+ *
+ * @param {Name} name The deprecated name.
+ * @returns {Name} The name of the deprecation record.
+ */
+const deprecationName = function(name) {
+    const recordName = bali.parse('/bali/deprecations' + name);
+    return recordName;
+};
+
+
+/**
+ * This function determines whether or not the specified account may manage (e.g. deprecate)
+ * the specified name. If the name resides within a claimed namespace the account must own
+ * the namespace or have been delegated to by its owner, otherwise the account must have
+ * signed the named document.
+ *
+ * @param {Object} notary The notary to be used for validating any records.
+ * @param {Object} repository The document repository containing the records.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Name} name The name to be managed.
+ * @param {Catalog} citation The document citation associated with the name.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Boolean} Whether or not the account may manage the name.
+ */
+const mayManageName = async function(notary, repository, cache, name, citation, accountTag, debug) {
+    debug = debug || false;
+    const claim = await fetchClaim(notary, repository, cache, name, debug);
+    if (claim) return await isAuthorized(notary, repository, cache, claim, accountTag, debug);
+    const source = await repository.fetchDocument(extractId(citation));
+    if (!source) return false;
+    const document = bali.parse(source);
+    return (await fetchSigner(repository, document)).isEqualTo(accountTag);
+};
+
+
+/**
+ * This function retrieves from the repository the deprecation record (if one exists) for
+ * the specified name. The record must have been signed by an account that may manage the
+ * name.
+ *
+ * @param {Object} notary The notary to be used for validating the deprecation record.
+ * @param {Object} repository The document repository containing the deprecation record.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Name} name The name that may have been deprecated.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The deprecation record, or undefined if the name has not been
+ * deprecated.
+ */
+const fetchDeprecation = async function(notary, repository, cache, name, debug) {
+    debug = debug || false;
+    const document = await fetchRecord(notary, repository, cache, deprecationName(name), debug);
+    if (!document) return;
+    const deprecation = document.getValue('$component');
+    const citation = bali.parse(await repository.fetchCitation(name));
+    const signer = await fetchSigner(repository, document);
+    if (!deprecation.getValue('$name').isEqualTo(name) ||
+            !(await mayManageName(notary, repository, cache, name, citation, signer, debug))) {
+        const exception = bali.exception({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: '$fetchDeprecation',
+            $exception: '$invalidDeprecation',
+            $name: name,
+            $text: bali.text('The deprecation record was not issued by an account that may manage the name.')
+        });
+        if (debug) console.error(exception.toString());
+        throw exception;
+    }
+    return deprecation;
+};
+
+
+/**
+ * This function returns the name under which the specified version of the grant record
+ * for the specified document and account is stored.
+ *
+ * @param {Catalog} citation The document citation for the document.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Version} version The version of the grant record.
+ * @returns {Name} The name of the grant record.
+ */
+const grantName = function(citation, accountTag, version) {
+    const name = bali.parse('/bali/grants/' + citation.getValue('$tag').getValue() + '/' +
+        citation.getValue('$version') + '/' + accountTag.getValue() + '/' + version);
+    return name;
+};
+
+
+/**
+ * This function lists, in version order, the names of the grant records for the specified
+ * document and account.
+ *
+ * @param {Object} repository The document repository containing the named citations.
+ * @param {Catalog} citation The document citation for the document.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Array} An array containing the names of the grant records as strings.
+ */
+const listGrantNames = async function(repository, citation, accountTag, debug) {
+    debug = debug || false;
+    const prefix = '/bali/grants/' + citation.getValue('$tag').getValue() + '/' +
+        citation.getValue('$version') + '/' + accountTag.getValue() + '/';
+    const levels = function(name) {
+        return name.slice(prefix.length + 1).split('.').map(Number);
+    };
+    const names = await listNames(repository, prefix, debug);
+    return names.filter(function(name) {
+        return /^v\d+(\.\d+)*$/.test(name.slice(prefix.length));
+    }).sort(function(first, second) {
+        return compareLevels(levels(first), levels(second));
+    });
+};
+
+
+/**
+ * This function signs and stores the specified grant (or revocation) record as the next
+ * version of the grant record for the specified document and account.
+ *
+ * @param {Object} notary The notary to be used for signing the record.
+ * @param {Object} repository The document repository in which to store the record.
+ * @param {Catalog} citation The document citation for the document.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Catalog} record The grant (or revocation) record.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} A document citation for the record.
+ */
+const commitGrant = async function(notary, repository, citation, accountTag, record, debug) {
+    debug = debug || false;
+    const names = await listGrantNames(repository, citation, accountTag, debug);
+    var version = bali.version();
+    if (names.length) {
+        const latest = names[names.length - 1];
+        version = bali.version.nextVersion(bali.parse(latest.slice(latest.lastIndexOf('/') + 1)));
+    }
+    const document = await notary.signComponent(record);
+    const recordCitation = await notary.citeDocument(document);
+    await repository.createDocument(extractComponentId(record), document);
+    await repository.createCitation(grantName(citation, accountTag, version), recordCitation);
+    return recordCitation;
+};
+
+
+/**
+ * This function retrieves the grant (or revocation) record with the specified name. The
+ * record must be valid and have been issued by the owner of the document for the account.
+ *
+ * @param {Object} notary The notary to be used for validating the record.
+ * @param {Object} repository The document repository containing the record.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {String} name The name of the grant record.
+ * @param {Catalog} citation The document citation for the document.
+ * @param {Tag} owner The unique tag for the account that owns the document.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The notarized grant record, or undefined if it is missing or invalid.
+ */
+const fetchGrantRecord = async function(notary, repository, cache, name, citation, owner, accountTag, debug) {
+    debug = debug || false;
+    try {
+        const document = await fetchRecord(notary, repository, cache, bali.parse(name), debug);
+        if (!document) return;
+        const grant = document.getValue('$component');
+        if (grant.getValue('$document').isEqualTo(citation) && grant.getValue('$grantee').isEqualTo(accountTag) &&
+                (await fetchSigner(repository, document)).isEqualTo(owner)) {
+            return document;
+        }
+    } catch (cause) {
+        // a record that cannot be validated is skipped like any other invalid record
+    }
+};
+
+
+/**
+ * This function retrieves the latest valid grant (or revocation) record for the specified
+ * document and account. Any record that was not issued by the owner of the document is
+ * skipped. If the repository does not support listing names, no grants are returned.
+ *
+ * @param {Object} notary The notary to be used for validating the record.
+ * @param {Object} repository The document repository containing the record.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Catalog} citation The document citation for the document.
+ * @param {Tag} owner The unique tag for the account that owns the document.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The latest grant record, or undefined if no access has been granted.
+ */
+const fetchGrant = async function(notary, repository, cache, citation, owner, accountTag, debug) {
+    debug = debug || false;
+    if (!repository.listNames) return;
+    const names = await listGrantNames(repository, citation, accountTag, debug);
+    for (var i = names.length - 1; i >= 0; i--) {
+        const document = await fetchGrantRecord(notary, repository, cache, names[i], citation, owner, accountTag, debug);
+        if (!document) continue;
+        const grant = document.getValue('$component');
+        if (!grant.getValue('$revoked')) grant.setValue('$revoked', bali.pattern.NONE);
+        return grant;
+    }
+};
+
+
+/**
+ * This function determines whether or not the specified grant record allows the specified
+ * operation at this moment.
+ *
+ * @param {Catalog} grant The grant record (if any).
+ * @param {String} operation The operation, e.g. '$retrieve'.
+ * @returns {Boolean} Whether or not the operation is allowed.
+ */
+const grantAllows = function(grant, operation) {
+    if (!grant || !grant.getValue('$revoked').isEqualTo(bali.pattern.NONE)) return false;
+    const expiration = grant.getValue('$expiration');
+    if (!expiration.isEqualTo(bali.pattern.NONE) && expiration.comparedTo(bali.moment()) <= 0) return false;
+    const iterator = grant.getValue('$rights').getIterator();
+    while (iterator.hasNext()) {
+        if (iterator.getNext().toString() === operation) return true;
+    }
+    return false;
+};
+
+
+/**
+ * The standard permissions for private documents, the type of the encrypted form in which
+ * their components are stored, and the type of the (private) account documents.
+ */
+const PRIVATE = '/bali/permissions/private/v1';
+const ENCRYPTED = '/bali/composites/Encrypted/v1';
+const ACCOUNT = '/bali/composites/Account/v1';
+
+
+/**
+ * This function retrieves from the repository the current certificate for the specified
+ * account. Only account documents signed by the account itself are considered, and the
+ * cited certificate must belong to the account. The certificate document is validated
+ * before its component is returned.
+ *
+ * @param {Object} notary The notary to be used for validating the certificate.
+ * @param {Object} repository The document repository containing the certificate.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Tag} accountTag The unique tag for the account.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The current certificate for the account.
+ */
+const fetchCertificate = async function(notary, repository, cache, accountTag, debug) {
+    debug = debug || false;
+    const account = await fetchAccountDocument(notary, repository, cache, accountTag, debug);
+    const citation = account ? account.getValue('$component').getValue('$certificate') : undefined;
+    if (!citation) {
+        const exception = bali.exception({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: '$fetchCertificate',
+            $exception: '$accountInactive',
+            $accountTag: accountTag,
+            $text: bali.text('The account does not have an active certificate.')
+        });
+        if (debug) console.error(exception.toString());
+        throw exception;
+    }
+    const source = await repository.fetchDocument(extractId(citation));
+    const document = bali.parse(source);
+    await validateCitation(notary, citation, document, debug);
+    await validateDocument(notary, repository, cache, document, debug);
+    const certificate = document.getValue('$component');
+    if (!certificate.getValue('$account').isEqualTo(accountTag)) {
+        const exception = bali.exception({
+            $module: '/bali/services/NebulaAPI',
+            $procedure: '$fetchCertificate',
+            $exception: '$accountMismatch',
+            $accountTag: accountTag,
+            $citation: citation,
+            $text: bali.text('The certificate cited by the account document belongs to another account.')
+        });
+        if (debug) console.error(exception.toString());
+        throw exception;
+    }
+    return certificate;
+};
+
+
+/**
+ * The access-control policies for the standard permissions. These policies cannot be
+ * overridden by documents in the repository. Any other unknown permissions are treated
+ * as private.
+ */
+const POLICIES = {
+    '/bali/permissions/public/v1':
+        '[\n' +
+        '    $rules: [\n' +
+        '        [\n' +
+        '            $accounts: [\n' +
+        '                $any\n' +
+        '            ]\n' +
+        '            $operations: [\n' +
+        '                $retrieve\n' +
+        '                $checkout\n' +
+        '            ]\n' +
+        '        ]\n' +
+        '    ]\n' +
+        ']',
+    '/bali/permissions/private/v1':
+        '[\n' +
+        '    $rules: [\n' +
+        '        [\n' +
+        '            $accounts: [\n' +
+        '                $owner\n' +
+        '            ]\n' +
+        '            $operations: [\n' +
+        '                $retrieve\n' +
+        '                $checkout\n' +
+        '            ]\n' +
+        '        ]\n' +
+        '    ]\n' +
+        ']'
+};
+
+
+/**
+ * This function retrieves the access-control policy associated with the specified
+ * permissions name. A policy is a (validated) named document of the following form:
+ * <pre>
+ * [
+ *     $rules: [
+ *         [
+ *             $accounts: <a list of account tags, $owner and/or $any>
+ *             $operations: <a list of operations, e.g. $retrieve and $checkout>
+ *         ]
+ *         ...
+ *     ]
+ * ]
+ * </pre>
+ * The standard policies are always taken from <code>POLICIES</code>. Any other policy
+ * document must be signed by the owner of the claimed namespace that encloses its name,
+ * otherwise (or if no such document exists) the permissions are treated as private.
+ *
+ * @param {Object} notary The notary to be used for validating the policy document.
+ * @param {Object} repository The document repository containing the policy document.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Name} permissions The name of the permissions, e.g. /bali/permissions/public/v1.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Catalog} The access-control policy.
+ */
+const fetchPolicy = async function(notary, repository, cache, permissions, debug) {
+    debug = debug || false;
+    const standard = POLICIES[permissions.toString()];
+    if (standard) return bali.parse(standard);
+    const policy = await fetchIssuedDocument(notary, repository, cache, permissions, debug);
+    return policy || bali.parse(POLICIES['/bali/permissions/private/v1']);
+};
+
+
+/**
+ * This function retrieves the component of the document associated with the specified
+ * name, provided that the document was signed by the owner of the claimed namespace that
+ * encloses the name. The document is validated before it is returned, even when it was
+ * cached by another operation.
+ *
+ * @param {Object} notary The notary to be used for validating the document.
+ * @param {Object} repository The document repository containing the document.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Name} name The name associated with the document.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Component} The component of the named document, or undefined if no such
+ * document exists or it was not issued by the owner of the namespace.
+ */
+const fetchIssuedDocument = async function(notary, repository, cache, name, debug) {
+    debug = debug || false;
+    var citation = cache.fetchCitation(name);
+    if (!citation) {
+        const source = await repository.fetchCitation(name);
+        if (!source) return;
+        citation = bali.parse(source);
+        cache.createCitation(name, citation);
+    }
+    const documentId = extractId(citation);
+    var document = await cache.fetchNotarizedDocument(documentId, citation);
+    if (!document) {
+        const source = await repository.fetchDocument(documentId);
+        if (!source) return;
+        document = bali.parse(source);
+        await validateCitation(notary, citation, document, debug);
+        await validateDocument(notary, repository, cache, document, debug);
+        await cache.createDocument(citation, document);
+    }
+    const claim = await fetchClaim(notary, repository, cache, name, debug);
+    if (!claim || !claim.getValue('$owner').isEqualTo(await fetchSigner(repository, document))) return;
+    return document.getValue('$component');
+};
+
+
+/**
+ * This function creates a local evaluator for access-control policies. An account is
+ * allowed to perform an operation on a document if any rule in the policy lists both the
+ * operation and either the account, $owner (when the account signed the document), or
+ * $any.
+ *
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} A new local policy evaluator.
+ */
+const createEvaluator = function(debug) {
+    debug = debug || false;
+
+    const contains = function(list, value) {
+        if (!list) return false;
+        const iterator = list.getIterator();
+        while (iterator.hasNext()) {
+            if (iterator.getNext().toString() === value.toString()) return true;
+        }
+        return false;
+    };
+
+    return {
+
+        isAllowed: async function(policy, owner, accountTag, operation) {
+            const rules = policy.getValue('$rules');
+            if (!rules) return false;
+            const iterator = rules.getIterator();
+            while (iterator.hasNext()) {
+                const rule = iterator.getNext();
+                if (!contains(rule.getValue('$operations'), operation)) continue;
+                const accounts = rule.getValue('$accounts');
+                if (contains(accounts, '$any')) return true;
+                if (contains(accounts, accountTag)) return true;
+                if (contains(accounts, '$owner') && owner.isEqualTo(accountTag)) return true;
+            }
+            return false;
+        }
+
+    };
+};
+
+
+/**
+ * The name of the configuration document that defines the system queues, and the queues
+ * that are used when no configuration document has been associated with that name.
+ */
+const QUEUES = '/bali/configurations/Queues/v1';
+const DEFAULT_QUEUES = {
+    send: 'JXT095QY01HBLHPAW04ZR5WSH41MWG4H',
+    event: '3RMGDVN7D6HLAPFXQNPF7DV71V3MAL43'
+};
+
+
+/**
+ * The redelivery limit for a queue that is linked to a dead-letter queue without a limit.
+ */
+const MAXIMUM_DELIVERIES = 5;
+
+
+/**
+ * The number of seconds for which the records on a dead-letter queue are leased while they
+ * are being replayed or purged.
+ */
+const DRAINING_LEASE = 60;
+
+
+/**
+ * The number of seconds to wait for a reply to a request when no timeout is specified, and
+ * the number of milliseconds to wait between checks of an empty reply queue.
+ */
+const DEFAULT_TIMEOUT = 30;
+const POLLING_INTERVAL = 250;
+
+
+/**
+ * The maximum number of seconds that a queue consumer waits between checks of an empty
+ * queue when no maximum backoff is specified.
+ */
+const MAXIMUM_BACKOFF = 5;
+
+
+/**
+ * This function returns a promise that resolves after the specified number of milliseconds,
+ * or as soon as the specified (optional) abort signal is triggered.
+ *
+ * @param {Number} milliseconds The number of milliseconds to wait.
+ * @param {AbortSignal} signal An optional signal that ends the wait early.
+ * @returns {Promise} A promise that resolves when the wait is over.
+ */
+const sleep = function(milliseconds, signal) {
+    return new Promise(function(resolve) {
+        if (signal && signal.aborted) return resolve();
+        const wake = function() {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', wake);
+            resolve();
+        };
+        const timer = setTimeout(wake, milliseconds);
+        if (signal) signal.addEventListener('abort', wake);
+    });
+};
+
+
+/**
+ * This function resolves the identifiers for the system queues. The queues are defined in
+ * a named configuration document of the following form:
+ * <pre>
+ * [
+ *     $send: <the unique tag for the queue on which messages are sent>
+ *     $event: <the unique tag for the queue on which events are published>
+ * ]
+ * </pre>
+ * The configuration document must have been signed by the owner of the claimed namespace
+ * that encloses its name (e.g. /bali/configurations), otherwise it is ignored. Any queues
+ * specified in the overrides take precedence over those in the configuration document, and
+ * the default queues are used for any that are not specified in either. The reply queue is
+ * never shared, so unless it is overridden a new one is used.
+ *
+ * @param {Object} notary The notary to be used for validating the configuration document.
+ * @param {Object} repository The document repository containing the configuration document.
+ * @param {Object} cache The local cache of validated citations and documents.
+ * @param {Object} overrides An optional object specifying the name of the configuration
+ * document and/or the queues themselves (as tags or strings).
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} An object containing the send, event and reply queue identifiers.
+ */
+const fetchQueues = async function(notary, repository, cache, overrides, debug) {
+    debug = debug || false;
+    overrides = overrides || {};
+    const queueId = function(queue) {
+        if (!queue) return;
+        return queue.getValue ? queue.getValue() : queue.toString().replace(/^#/, '');
+    };
+
+    // retrieve the configuration document (if one was issued by the owner of its namespace)
+    const name = bali.parse(overrides.configuration || QUEUES);
+    const configuration = await fetchIssuedDocument(notary, repository, cache, name, debug) || bali.catalog();
+
+    const queues = {
+        send: queueId(overrides.send) || queueId(configuration.getValue('$send')) || DEFAULT_QUEUES.send,
+        event: queueId(overrides.event) || queueId(configuration.getValue('$event')) || DEFAULT_QUEUES.event,
+        reply: queueId(overrides.reply) || bali.tag().getValue()  // private to the client
+    };
+    return queues;
+};
+
+
+/**
+ * This function compares the attributes of two catalogs and adds a change record to the
+ * specified list for each attribute that was added, removed or changed. Nested catalogs
+ * are compared recursively.
+ *
+ * @param {String} path The path to the catalogs being compared.
+ * @param {Catalog} first The first catalog.
+ * @param {Catalog} second The second catalog.
+ * @param {List} changes The list to which the change records are added.
+ */
+const compareCatalogs = function(path, first, second, changes) {
+    var iterator = first.getIterator();
+    while (iterator.hasNext()) {
+        const association = iterator.getNext();
+        const key = association.getKey();
+        const from = association.getValue();
+        const to = second.getValue(key);
+        const attributePath = path + (path ? '.' : '') + key.toString();
+        if (to === undefined) {
+            changes.addItem(bali.catalog({
+                $path: bali.text(attributePath),
+                $change: '$removed',
+                $from: from
+            }));
+        } else if (from.getTypeId() === bali.types.CATALOG && to.getTypeId() === bali.types.CATALOG) {
+            compareCatalogs(attributePath, from, to, changes);
+        } else if (!from.isEqualTo(to)) {
+            changes.addItem(bali.catalog({
+                $path: bali.text(attributePath),
+                $change: '$changed',
+                $from: from,
+                $to: to
+            }));
+        }
+    }
+    iterator = second.getIterator();
+    while (iterator.hasNext()) {
+        const association = iterator.getNext();
+        const key = association.getKey();
+        if (first.getValue(key) === undefined) {
+            changes.addItem(bali.catalog({
+                $path: bali.text(path + (path ? '.' : '') + key.toString()),
+                $change: '$added',
+                $to: association.getValue()
+            }));
+        }
+    }
+};
+
+
+/**
+ * This function compares the standard document parameters of two components and adds a
+ * change record to the specified list for each parameter that was added, removed or changed.
+ *
+ * @param {Component} first The first component.
+ * @param {Component} second The second component.
+ * @param {List} changes The list to which the change records are added.
+ */
+const compareParameters = function(first, second, changes) {
+    const firstParameters = first.getParameters();
+    const secondParameters = second.getParameters();
+    ['$type', '$tag', '$version', '$permissions', '$previous'].forEach(function(key) {
+        const from = firstParameters ? firstParameters.getValue(key) : undefined;
+        const to = secondParameters ? secondParameters.getValue(key) : undefined;
+        if (from === undefined && to === undefined) return;
+        if (from === undefined) {
+            changes.addItem(bali.catalog({
+                $path: bali.text(key),
+                $change: '$added',
+                $to: to
+            }));
+        } else if (to === undefined) {
+            changes.addItem(bali.catalog({
+                $path: bali.text(key),
+                $change: '$removed',
+                $from: from
+            }));
+        } else if (!from.isEqualTo(to)) {
+            changes.addItem(bali.catalog({
+                $path: bali.text(key),
+                $change: '$changed',
+                $from: from,
+                $to: to
+            }));
+        }
+    });
+};
+
+
+/**
+ * This function formats a list of change records as lines of text.
+ *
+ * @param {String} heading The heading for the list of changes.
+ * @param {List} changes The list of change records.
+ * @returns {String} The formatted lines of text.
+ */
+const formatChanges = function(heading, changes) {
+    if (!changes || changes.getSize() === 0) return '';
+    const indent = function(value) {
+        return value.toString().split(EOF).join(EOF + '    ');
+    };
+    var text = '@@ ' + heading + EOF;
+    const iterator = changes.getIterator();
+    while (iterator.hasNext()) {
+        const change = iterator.getNext();
+        const path = change.getValue('$path').getValue();
+        switch (change.getValue('$change').toString()) {
+            case '$added':
+                text += '+ ' + path + ': ' + indent(change.getValue('$to')) + EOF;
+                break;
+            case '$removed':
+                text += '- ' + path + ': ' + indent(change.getValue('$from')) + EOF;
+                break;
+            default:
+                text += '~ ' + path + ': ' + indent(change.getValue('$from')) + ' -> ' + indent(change.getValue('$to')) + EOF;
+        }
+    }
+    return text;
+};
+
 
-        /**
-         * This method receives a message from the specified queue in the Bali
-         * Nebula™. The message was placed there by another task using the
-         * <code>queueMessage(queue, message)</code> method with the same queue from the API.
-         * If there are no messages on the queue, the result of this call will be 'none'.
-         *
-         * @param {Tag} queue The unique tag identifying the queue from which to receive
-         * the message.
-         * @returns {Component} The message received from the queue.
-         */
-        receiveMessage: async function(queue) {
-            try {
-                validateParameter('$receiveMessage', 'queue', queue, 'tag', debug);
-                const queueId = queue.getValue();
-                var message;
-                const source = await repository.dequeueMessage(queueId);
-                if (source) {
-                    // validate the document
-                    const document = bali.parse(source);
-                    await validateDocument(notary, repository, document);
-                    message = document.getValue('$component');
-                }
-                return message;
-            } catch (cause) {
-                const exception = bali.exception({
-                    $module: '/bali/services/NebulaAPI',
-                    $procedure: '$receiveMessage',
-                    $exception: '$unexpected',
-                    $accountTag: notary.getAccountTag(),
-                    $text: bali.text('An unexpected error occurred while attempting to receive a message.')
-                }, cause);
-                if (debug) console.error(exception.toString());
-                throw exception;
-            }
+/**
+ * This function performs a three-way merge of two catalogs against their common base
+ * catalog. The merged catalog keeps the parameters of the first catalog. The path to each
+ * attribute that was changed differently in both catalogs is added to the list of conflicts
+ * and the conflict is resolved using the specified resolution strategy.
+ *
+ * @param {String} path The path to the catalogs being merged.
+ * @param {Catalog} base The common base catalog (if one exists).
+ * @param {Catalog} first The first catalog.
+ * @param {Catalog} second The second catalog.
+ * @param {List} conflicts The list to which the paths to conflicting attributes are added.
+ * @param {String} resolution Which catalog ('first' or 'second') wins a conflict, the
+ * first catalog wins by default.
+ * @returns {Catalog} The merged catalog.
+ */
+const mergeCatalogs = function(path, base, first, second, conflicts, resolution) {
+    const same = function(a, b) {
+        if (a === undefined || b === undefined) return a === b;
+        return a.isEqualTo(b);
+    };
+    const isCatalog = function(value) {
+        return value !== undefined && value.getTypeId() === bali.types.CATALOG;
+    };
+
+    // gather all of the attribute keys
+    const keys = new Map();
+    [base, first, second].forEach(function(catalog) {
+        if (!catalog) return;
+        const iterator = catalog.getIterator();
+        while (iterator.hasNext()) {
+            const key = iterator.getNext().getKey();
+            keys.set(key.toString(), key);
+        }
+    });
+
+    // merge each attribute
+    const merged = bali.duplicate(first);
+    keys.forEach(function(key) {
+        const original = base ? base.getValue(key) : undefined;
+        const a = first.getValue(key);
+        const b = second.getValue(key);
+        const attributePath = path + (path ? '.' : '') + key.toString();
+        var value;
+        if (same(a, b) || same(original, b)) {
+            value = a;
+        } else if (same(original, a)) {
+            value = b;
+        } else if (isCatalog(a) && isCatalog(b)) {
+            value = mergeCatalogs(attributePath, isCatalog(original) ? original : undefined, a, b, conflicts, resolution);
+        } else {
+            conflicts.addItem(bali.text(attributePath));
+            value = resolution === 'second' ? b : a;
         }
+        if (value === undefined) {
+            merged.removeValue(key);
+        } else {
+            merged.setValue(key, value);
+        }
+    });
+    return merged;
+};
+
+
+/**
+ * This function returns a function that uses the specified API to retrieve a type
+ * document given either its name or its document citation.
+ *
+ * @param {Object} api The API to be used to retrieve the type documents.
+ * @returns {Function} A function that retrieves a type document.
+ */
+const typeResolver = function(api) {
+    const resolveType = async function(reference) {
+        var citation = reference;
+        if (reference.getTypeId() === bali.types.NAME) citation = await api.retrieveCitation(reference);
+        if (citation) return await api.retrieveDocument(citation);
     };
+    return resolveType;
 };
 
 
-// PRIVATE FUNCTIONS
+/**
+ * This function retrieves the attribute definitions for the specified type, including
+ * those inherited from its parent types.
+ *
+ * @param {Function} resolveType A function that retrieves a type document given its name
+ * or document citation.
+ * @param {Component} type The name or document citation for the type.
+ * @returns {Catalog} The attribute definitions for the type, or undefined if the type
+ * cannot be resolved.
+ */
+const retrieveDefinitions = async function(resolveType, type) {
+    const document = await resolveType(type);
+    if (!document) return;
+    const definitions = bali.catalog();
+    const parent = document.getValue('$parent');
+    if (parent && (parent.getTypeId() === bali.types.CATALOG || parent.getTypeId() === bali.types.NAME)) {
+        const inherited = await retrieveDefinitions(resolveType, parent);
+        if (inherited) definitions.addItems(inherited);
+    }
+    const attributes = document.getValue('$attributes');
+    if (attributes && attributes.getIterator) definitions.addItems(attributes);
+    return definitions;
+};
+
 
 /**
- * This function extracts the '$tag' and '$version' attributes from the specified catalog
- * and uses them to form a unique identification string.
+ * This function returns the primitive type identifier for the specified type name, or
+ * undefined if the type name does not refer to a primitive Bali type.
  *
- * @param {Catalog} catalog A catalog component.
- * @returns {String} A unique identification string for the component.
+ * @param {Component} type The name or document citation for a type.
+ * @returns {Number} The primitive type identifier for the type.
  */
-const extractId = function(catalog) {
-    const id = catalog.getValue('$tag').getValue() + catalog.getValue('$version');
-    return id;
+const primitiveType = function(type) {
+    if (type.getTypeId() !== bali.types.NAME) return;
+    const segments = type.toString().split('/');  // e.g. ['', 'bali', 'elements', 'Text', 'v1']
+    if (segments[1] !== 'bali' || segments.length < 3) return;
+    return bali.types[segments[segments.length - 2].toUpperCase()];
+};
+
+
+/**
+ * This function validates the structure of the specified catalog against the attribute
+ * definitions of the specified type and adds a violation record to the specified list
+ * for each problem that is found. Nested catalogs with composite types are validated
+ * recursively. Types in the <code>/bali/</code> namespace that cannot be resolved are
+ * treated as abstract types that any value satisfies. Attributes that are not defined by
+ * the type are only reported if the type is closed, i.e. it contains
+ * <code>$closed: true</code>.
+ *
+ * @param {Function} resolveType A function that retrieves a type document given its name
+ * or document citation.
+ * @param {String} path The path to the catalog being validated.
+ * @param {Component} type The name or document citation for the type of the catalog.
+ * @param {Catalog} catalog The catalog to be validated.
+ * @param {List} violations The list to which the violation records are added.
+ */
+const validateStructure = async function(resolveType, path, type, catalog, violations) {
+    const violation = function(attributePath, kind, expected, actual) {
+        const record = bali.catalog({
+            $path: bali.text(attributePath),
+            $violation: kind
+        });
+        if (expected !== undefined) record.setValue('$expected', expected);
+        if (actual !== undefined) record.setValue('$actual', actual);
+        violations.addItem(record);
+    };
+
+    const definitions = await retrieveDefinitions(resolveType, type);
+    if (!definitions) {
+        if (!type.toString().startsWith('/bali/')) violation(path || '$type', '$unknownType', type);
+        return;
+    }
+    if (definitions.getSize() === 0) return;  // an abstract type
+    if (catalog.getTypeId() !== bali.types.CATALOG) {
+        violation(path, '$incorrectType', type, catalog);
+        return;
+    }
+
+    // validate each defined attribute
+    var iterator = definitions.getIterator();
+    while (iterator.hasNext()) {
+        const association = iterator.getNext();
+        const symbol = association.getKey();
+        const definition = association.getValue();
+        const attributePath = path + (path ? '.' : '') + symbol.toString();
+        const value = catalog.getValue(symbol);
+        if (value === undefined) {
+            const optional = definition.getValue('$optional');
+            if (!definition.getValue('$default') && !(optional && optional.toString() === 'true')) {
+                violation(attributePath, '$missingAttribute', definition.getValue('$type'));
+            }
+            continue;
+        }
+        if (value.isEqualTo(bali.pattern.NONE)) continue;  // none matches any type
+
+        // validate the type of the attribute
+        const expected = definition.getValue('$type');
+        if (expected) {
+            const typeId = primitiveType(expected);
+            if (typeId !== undefined) {
+                if (value.getTypeId() !== typeId) violation(attributePath, '$incorrectType', expected, value);
+            } else {
+                await validateStructure(resolveType, attributePath, expected, value, violations);
+            }
+        }
+
+        // validate any constraints on the attribute
+        const choices = definition.getValue('$choices');
+        if (choices && choices.getIterator) {
+            var found = false;
+            const items = choices.getIterator();
+            while (items.hasNext()) {
+                if (items.getNext().isEqualTo(value)) found = true;
+            }
+            if (!found) violation(attributePath, '$invalidChoice', choices, value);
+        }
+        const minimum = definition.getValue('$minimum');
+        const maximum = definition.getValue('$maximum');
+        const bound = minimum || maximum;
+        if (bound && bound.getTypeId() !== value.getTypeId()) {
+            // only values of the same type as the bounds can be compared with them
+            if (!expected || primitiveType(expected) === undefined) {
+                violation(attributePath, '$incorrectType', expected || bound, value);
+            }
+        } else {
+            if (minimum && value.comparedTo(minimum) < 0) violation(attributePath, '$belowMinimum', minimum, value);
+            if (maximum && value.comparedTo(maximum) > 0) violation(attributePath, '$aboveMaximum', maximum, value);
+        }
+        const pattern = definition.getValue('$pattern');
+        if (pattern) {
+            const expression = new RegExp(pattern.getValue());
+            const text = value.getTypeId() === bali.types.TEXT ? value.getValue() : value.toString();
+            if (!expression.test(text)) violation(attributePath, '$patternMismatch', pattern, value);
+        }
+    }
+
+    // check for any additional attributes if the type is closed
+    const closed = (await resolveType(type)).getValue('$closed');
+    if (!closed || closed.toString() !== 'true') return;
+    iterator = catalog.getIterator();
+    while (iterator.hasNext()) {
+        const symbol = iterator.getNext().getKey();
+        if (definitions.getValue(symbol) === undefined) {
+            violation(path + (path ? '.' : '') + symbol.toString(), '$additionalAttribute');
+        }
+    }
 };
 
 
@@ -794,12 +4716,13 @@ const validateCitation = async function(notary, citation, document, debug) {
  *
  * @param {Object} notary The notary to be used for validating the document.
  * @param {Object} repository The document repository containing the certificates.
+ * @param {Object} cache The local cache of validated citations and documents.
  * @param {Catalog} document The notarized document to be validated.
  * @param {Boolean} debug An optional flag that determines whether or not exceptions
  * will be logged to the error console.
  * @throws {Exception} The document is not valid.
  */
-const validateDocument = async function(notary, repository, document, debug) {
+const validateDocument = async function(notary, repository, cache, document, debug) {
     debug = debug || false;
     try {
         var certificateCitation = document.getValue('$certificate');
@@ -809,7 +4732,7 @@ const validateDocument = async function(notary, repository, document, debug) {
             const previousCitation = document.getValue('$previous');
             if (previousCitation && !previousCitation.isEqualTo(bali.pattern.NONE)) {
                 const previousId = extractId(previousCitation);
-                source = await repository.fetchDocument(previousId);
+                const source = await repository.fetchDocument(previousId);
                 if (!source) {
                     const exception = bali.exception({
                         $module: '/bali/services/NebulaAPI',
@@ -854,7 +4777,7 @@ const validateDocument = async function(notary, repository, document, debug) {
 
             // fetch and validate if necessary the certificate
             const certificateId = extractId(certificateCitation);
-            certificate = cache.fetchDocument(certificateId);
+            certificate = await cache.fetchDocument(certificateId, certificateCitation);
             if (!certificate) {
                 const source = await repository.fetchDocument(certificateId);
                 if (!source) {
@@ -870,9 +4793,44 @@ const validateDocument = async function(notary, repository, document, debug) {
                 }
                 const document = bali.parse(source);
                 await validateCitation(notary, certificateCitation, document);
-                await validateDocument(notary, repository, document);
+                await validateDocument(notary, repository, cache, document);
+                await cache.createDocument(certificateCitation, document);
                 certificate = document.getValue('$component');
-                cache.createDocument(certificateId, certificate);
+            }
+
+            // make sure the certificate had not been revoked when the document was signed
+            const revoked = await fetchRevocation(notary, repository, cache, certificateCitation, debug);
+            if (revoked) {
+                await cache.deleteDocument(certificateId);
+                if (document.getValue('$timestamp').comparedTo(revoked) > 0) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$validateDocument',
+                        $exception: '$certificateRevoked',
+                        $certificateId: bali.text(certificateId),
+                        $revoked: revoked,
+                        $text: bali.text('The document was signed using a certificate that had already been revoked.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
+            }
+
+            // make sure the certificate had not been retired when the document was signed
+            const retired = await fetchRetirement(repository, cache, certificateCitation);
+            if (retired) {
+                if (document.getValue('$timestamp').comparedTo(retired) > 0) {
+                    const exception = bali.exception({
+                        $module: '/bali/services/NebulaAPI',
+                        $procedure: '$validateDocument',
+                        $exception: '$certificateRetired',
+                        $certificateId: bali.text(certificateId),
+                        $retired: retired,
+                        $text: bali.text('The document was signed using a certificate that had already been retired.')
+                    });
+                    if (debug) console.error(exception.toString());
+                    throw exception;
+                }
             }
 
             // validate the document
@@ -931,6 +4889,7 @@ const validateParameter = function(procedureName, parameterName, parameterValue,
             case 'moment':
             case 'name':
             case 'tag':
+            case 'text':
             case 'version':
                 // Primitive types must have a typeId and their type must match the passed in type
                 if (parameterValue && parameterValue.getTypeId) {
@@ -948,6 +4907,14 @@ const validateParameter = function(procedureName, parameterName, parameterValue,
                 // A component must just have a typeId
                 if (parameterValue.getTypeId) return;
                 break;
+            case 'catalog':
+                // A catalog must have the catalog typeId
+                if (parameterValue.getTypeId && parameterValue.getTypeId() === bali.types.CATALOG) return;
+                break;
+            case 'list':
+                // A list must have the list typeId
+                if (parameterValue.getTypeId && parameterValue.getTypeId() === bali.types.LIST) return;
+                break;
             case 'citation':
                 // A certificate must have the following:
                 //  * a parameterized type of /bali/types/Citation/v...
@@ -1029,10 +4996,25 @@ const validateParameter = function(procedureName, parameterName, parameterValue,
                 break;
         }
     }
-    if (parameterType === 'level') {
+    if (parameterType === 'level' || parameterType === 'count') {
         if (typeof parameterValue === 'undefined') return;
         if (typeof parameterValue === 'number' && parameterValue > 0) return;
     }
+    if (parameterType === 'index') {
+        // an index must be a non-negative integer
+        if (typeof parameterValue === 'undefined') return;
+        if (Number.isInteger(parameterValue) && parameterValue >= 0) return;
+    }
+    if (parameterType === 'size') {
+        // a size must be a positive integer
+        if (typeof parameterValue === 'undefined') return;
+        if (Number.isInteger(parameterValue) && parameterValue > 0) return;
+    }
+    if (parameterType === 'duration') {
+        // a duration is a non-negative number of seconds
+        if (typeof parameterValue === 'undefined') return;
+        if (typeof parameterValue === 'number' && parameterValue >= 0) return;
+    }
     const exception = bali.exception({
         $module: '/bali/services/NebulaAPI',
         $procedure: procedureName,
@@ -1047,35 +5029,76 @@ const validateParameter = function(procedureName, parameterName, parameterValue,
 
 
 /**
- * This function constructs a template of a component of the specified type.
+ * This function constructs a template of a component of the specified type. See the
+ * <code>createDraft</code> method for a description of how each attribute is initialized.
  *
- * @param {Catalog} type A catalog containing a type definition.
+ * @param {Function} resolveType A function that retrieves a type document given its name
+ * or document citation.
+ * @param {Name} type The name of the type of the component.
+ * @param {Boolean} optional Whether or not optional attributes should be included.
  * @param {Boolean} debug An optional flag that determines whether or not exceptions
  * will be logged to the error console.
  * @returns {Catalog} The newly constructed component template.
  */
-const constructTemplate = function(type, debug) {
+const constructTemplate = async function(resolveType, type, optional, debug) {
     debug = debug || false;
+
+    const construct = async function(path, type, parameters, types) {
+        // check for a type that must contain itself
+        if (types.indexOf(type.toString()) > -1) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: '$constructTemplate',
+                $exception: '$cyclicType',
+                $type: type,
+                $path: bali.text(path),
+                $text: bali.text('The type definitions require the template to contain itself.')
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+        types = types.concat(type.toString());
+
+        const template = bali.catalog({}, parameters);
+        const definitions = await retrieveDefinitions(resolveType, type);
+        if (!definitions) return template;
+        const iterator = definitions.getIterator();
+        while (iterator.hasNext()) {
+            const attribute = iterator.getNext();
+            const symbol = attribute.getKey();
+            const definition = attribute.getValue();
+            const attributePath = path + (path ? '.' : '') + symbol.toString();
+            const isOptional = definition.getValue('$optional');
+            if (!optional && isOptional && isOptional.toString() === 'true') continue;
+            var value = definition.getValue('$default');
+            const choices = definition.getValue('$choices');
+            const expected = definition.getValue('$type');
+            if (value) {
+                value = bali.duplicate(value);
+            } else if (choices && choices.getIterator && choices.getSize() > 0) {
+                value = bali.duplicate(choices.getIterator().getNext());
+            } else if (expected && [bali.types.LIST, bali.types.CATALOG].indexOf(primitiveType(expected)) > -1) {
+                const items = definition.getValue('$items');
+                const collectionParameters = items ? bali.parameters({$type: items}) : undefined;
+                value = primitiveType(expected) === bali.types.LIST ? bali.list([], collectionParameters) : bali.catalog({}, collectionParameters);
+            } else if (expected && primitiveType(expected) === undefined && expected.getTypeId() === bali.types.NAME) {
+                value = await construct(attributePath, expected, bali.parameters({$type: expected}), types);
+            } else {
+                value = bali.pattern.NONE;  // a placeholder
+            }
+            template.setValue(symbol, value);
+        }
+        return template;
+    };
+
     try {
-        const template = bali.catalog({}, bali.parameters({
+        const template = await construct('', type, bali.parameters({
             $type: type,
             $tag: bali.tag(),  // a new unique tag
             $version: bali.version(),  // initial version
             $permissions: '/bali/permissions/private/v1',
             $previous: bali.pattern.NONE
-        }));
-        const attributes = type.getValue('$attributes');
-        if (attributes && attributes.getIterator) {
-            const iterator = attributes.getIterator();
-            while (iterator.hasNext()) {
-                var attribute = iterator.getNext();
-                var symbol = attribute.getKey();
-                var definition = attribute.getValue();
-                var value = definition.getValue('$default');
-                if (!value) value = constructTemplate(definition.getValue('$type'));
-                template.setValue(symbol, value);
-            }
-        }
+        }), []);
         return template;
     } catch (cause) {
         const exception = bali.exception({
@@ -1099,48 +5122,292 @@ const constructTemplate = function(type, debug) {
  * 1) The cache is always checked before downloading a citation or document.
  * 2) A downloaded citation or document is always validated before use.
  * 3) A validated citation or document is always cached locally.
- * 4) The cache will delete the oldest citation or document when it is full.
+ * 4) The cache will delete the least recently used citation or document when it is full.
+ * 5) A cached certificate, or a cached document signed using a certificate after it was
+ *    revoked, is deleted when the certificate is found to have been revoked.
+ * 6) Drafts are never cached since they are mutable.
+ * 7) A persisted document is only trusted if its digest still matches its citation and
+ *    it is still valid when the cache is created.
+ * 8) A cached document is only returned if it matches the citation that was requested.
+ * 9) The moment a certificate was retired or revoked is cached, but a certificate that
+ *    was still current is checked again once the status interval has passed.
+ * 10) Only public documents are persisted since a directory may be shared by the clients
+ *    for several accounts.
  * </pre>
  */
-const cache = {
+const MAXIMUM = 256;
+const STATUS_INTERVAL = 60000;  // milliseconds
+
+
+/**
+ * This function creates a new local cache for citations and documents.
+ *
+ * @param {Object} notary The notary to be used for validating persisted documents.
+ * @param {Object} repository The document repository containing the certificates used to
+ * validate persisted documents.
+ * @param {Object} options An optional object specifying the maximum number of cached
+ * citations and documents, e.g. {citations: 256, documents: 256}, and the directory (if
+ * any) in which the validated documents should be persisted. If the value is false
+ * nothing will be cached.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} A new local cache.
+ */
+const createCache = function(notary, repository, options, debug) {
+    const enabled = options !== false;
+    options = options || {};
+    const citationLimit = options.citations === undefined ? MAXIMUM : options.citations;
+    const documentLimit = options.documents === undefined ? MAXIMUM : options.documents;
+    const store = (enabled && options.directory) ? createStore(notary, repository, options.directory, debug) : undefined;
+
+    const citations = new Map();
+    const documents = new Map();
+    const retirements = new Map();
+    const revocations = new Map();
+
+    const fetchItem = function(map, key) {
+        const value = map.get(key);
+        if (value !== undefined) {
+            // move the item to the most recently used position
+            map.delete(key);
+            map.set(key, value);
+        }
+        return value;
+    };
+
+    const storeItem = function(map, limit, key, value) {
+        if (!enabled || limit < 1) return;
+        map.delete(key);
+        while (map.size >= limit) {
+            // delete the least recently used item
+            const oldest = map.keys().next().value;
+            map.delete(oldest);
+        }
+        map.set(key, value);
+    };
+
+    return {
+
+        citationExists: function(name) {
+            return citations.has(name.toString());
+        },
+
+        fetchCitation: function(name) {
+            return fetchItem(citations, name.toString());
+        },
+
+        createCitation: function(name, citation) {
+            storeItem(citations, citationLimit, name.toString(), citation);
+        },
+
+        deleteCitation: function(name) {
+            citations.delete(name.toString());
+        },
+
+        documentExists: async function(documentId) {
+            if (documents.has(documentId)) return true;
+            if (store) return await store.documentExists(documentId);
+            return false;
+        },
+
+        fetchNotarizedDocument: async function(documentId, citation) {
+            var entry = fetchItem(documents, documentId);
+            if (entry === undefined && store) {
+                entry = await store.fetchEntry(documentId);
+                if (entry) storeItem(documents, documentLimit, documentId, entry);
+            }
+            if (!entry) return;
+            if (citation && !entry.citation.isEqualTo(citation)) return;  // a different document
+            return entry.document;
+        },
+
+        fetchDocument: async function(documentId, citation) {
+            const document = await this.fetchNotarizedDocument(documentId, citation);
+            if (document) return document.getValue('$component');
+        },
+
+        createDocument: async function(citation, document) {
+            // NOTE: only validated committed documents may be passed in, never drafts
+            const documentId = extractId(citation);
+            storeItem(documents, documentLimit, documentId, {citation: citation, document: document});
+            if (store) await store.createDocument(documentId, citation, document);
+        },
+
+        deleteDocument: async function(documentId) {
+            documents.delete(documentId);
+            if (store) await store.deleteDocument(documentId);
+        },
+
+        fetchRetirement: function(certificateId) {
+            const status = fetchItem(retirements, certificateId);
+            if (status && (status.retired || Date.now() - status.checked < STATUS_INTERVAL)) return status;
+        },
+
+        createRetirement: function(certificateId, retired) {
+            storeItem(retirements, documentLimit, certificateId, {retired: retired, checked: Date.now()});
+        },
+
+        deleteRetirement: function(certificateId) {
+            retirements.delete(certificateId);
+        },
 
-    MAXIMUM: 256,
+        fetchRevocation: function(certificateId) {
+            const status = fetchItem(revocations, certificateId);
+            if (status && (status.revoked || Date.now() - status.checked < STATUS_INTERVAL)) return status;
+        },
+
+        createRevocation: function(certificateId, revoked) {
+            storeItem(revocations, documentLimit, certificateId, {revoked: revoked, checked: Date.now()});
+        },
+
+        deleteRevocation: function(certificateId) {
+            revocations.delete(certificateId);
+        },
+
+        clear: async function() {
+            citations.clear();
+            documents.clear();
+            retirements.clear();
+            revocations.clear();
+            if (store) await store.clear();
+        }
+
+    };
+};
+
+
+/**
+ * This function creates a persistent store for validated documents residing in the
+ * specified local directory. Each document is stored along with its document citation.
+ * Since the directory may be shared by the clients for several accounts, only public
+ * documents are stored, and any other document that is found in the store is deleted.
+ * When the store is created it checks that the digest of each stored document still
+ * matches its citation and validates the document again, and any document that fails
+ * either check is deleted. The digest is checked again each time a document is read from
+ * the store.
+ *
+ * @param {Object} notary The notary to be used for validating the stored documents.
+ * @param {Object} repository The document repository containing the certificates used to
+ * validate the stored documents.
+ * @param {String} directory The local directory in which to store the documents.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} A new persistent document store.
+ */
+const createStore = function(notary, repository, directory, debug) {
+    debug = debug || false;
+    if (!directory.endsWith('/')) directory += '/';
+    const folder = directory + 'documents/';
+    const verified = new Set();
 
-    citations: new Map(),
-    documents: new Map(),
+    // access to a non-public document must be authorized for each account
+    const isPublic = function(document) {
+        const parameters = document.getValue('$component').getParameters();
+        const permissions = parameters && parameters.getValue('$permissions');
+        return !!permissions && permissions.toString().startsWith('/bali/permissions/public/v');
+    };
 
-    citationExists: function(name) {
-        return this.citations.has(name);
-    },
+    const readEntry = async function(documentId) {
+        const file = folder + documentId + '.bali';
+        try {
+            const source = await fs.promises.readFile(file, 'utf8');
+            const entry = bali.parse(source);
+            const citation = entry.getValue('$citation');
+            const document = entry.getValue('$document');
+            if (extractId(citation) === documentId && await notary.citationMatches(citation, document)) {
+                return {citation: citation, document: document};
+            }
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: '$readEntry',
+                $exception: '$unexpected',
+                $file: bali.text(file),
+                $text: bali.text('An unexpected error occurred while attempting to read a cached document.')
+            }, cause);
+            if (debug) console.error(exception.toString());
+        }
+        // the entry is corrupted so remove it
+        verified.delete(documentId);
+        await fs.promises.unlink(file).catch(function() {});
+    };
 
-    fetchCitation: function(name) {
-        return this.citations.get(name);
-    },
+    // the certificates used to revalidate a persisted document must not come from the store
+    const revalidate = async function(document) {
+        try {
+            await validateDocument(notary, repository, createCache(notary, repository, false, debug), document, debug);
+            return true;
+        } catch (cause) {
+            return false;
+        }
+    };
 
-    createCitation: function(name, citation) {
-        if (this.citations.size > this.MAXIMUM) {
-            // delete the first (oldest) cached citation
-            const key = this.citations.keys().next().getValue();
-            this.citations.delete(key);
+    // check each persisted document before it is trusted
+    const initialized = (async function() {
+        try {
+            await fs.promises.mkdir(folder, {recursive: true});
+            const files = await fs.promises.readdir(folder);
+            for (var i = 0; i < files.length; i++) {
+                const file = files[i];
+                if (!file.endsWith('.bali')) continue;
+                const documentId = file.slice(0, -5);
+                const entry = await readEntry(documentId);
+                if (!entry) continue;  // the corrupted entry was removed
+                if (isPublic(entry.document) && await revalidate(entry.document)) {
+                    verified.add(documentId);
+                } else {
+                    await fs.promises.unlink(folder + file).catch(function() {});
+                }
+            }
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/services/NebulaAPI',
+                $procedure: '$createStore',
+                $exception: '$unexpected',
+                $directory: bali.text(directory),
+                $text: bali.text('An unexpected error occurred while attempting to load the persistent cache.')
+            }, cause);
+            if (debug) console.error(exception.toString());
         }
-        this.citations.set(name, citation);
-    },
-
-    documentExists: function(documentId) {
-        return this.documents.has(documentId);
-    },
-
-    fetchDocument: function(documentId) {
-        return this.documents.get(documentId);
-    },
-
-    createDocument: function(documentId, document) {
-        if (this.documents.size > this.MAXIMUM) {
-            // delete the first (oldest) cached document
-            const key = this.documents.keys().next().getValue();
-            this.documents.delete(key);
+    })();
+
+    return {
+
+        documentExists: async function(documentId) {
+            await initialized;
+            return verified.has(documentId);
+        },
+
+        fetchEntry: async function(documentId) {
+            await initialized;
+            if (!verified.has(documentId)) return;
+            return await readEntry(documentId);
+        },
+
+        createDocument: async function(documentId, citation, document) {
+            await initialized;
+            if (!isPublic(document)) return;
+            const entry = bali.catalog({
+                $citation: citation,
+                $document: document
+            });
+            await fs.promises.writeFile(folder + documentId + '.bali', entry.toString() + EOF, 'utf8');
+            verified.add(documentId);
+        },
+
+        deleteDocument: async function(documentId) {
+            await initialized;
+            verified.delete(documentId);
+            await fs.promises.unlink(folder + documentId + '.bali').catch(function() {});
+        },
+
+        clear: async function() {
+            await initialized;
+            const documentIds = Array.from(verified);
+            for (var i = 0; i < documentIds.length; i++) {
+                await this.deleteDocument(documentIds[i]);
+            }
         }
-        this.documents.set(documentId, document);
-    }
 
+    };
 };
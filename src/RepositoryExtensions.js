@@ -0,0 +1,475 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+
+/*
+ * This module provides implementations of the optional document repository capabilities
+ * that are used by the Bali Nebula™ API (e.g. listing names and the drafts saved by an
+ * account, and leasing messages) for document repositories that do not support them
+ * natively. Each capability is implemented using an index that is maintained as the
+ * wrapped repository is updated, so only the changes that are made through the extended
+ * repository are indexed. The index for a local repository is stored in its directory.
+ * The index for a remote repository is kept in memory and shared by all extended
+ * repositories with the same URI, unless a local directory is specified for it. Since the
+ * leases on messages are part of the index, a message that is leased from a remote
+ * repository whose index is kept in memory is lost if the process ends before the lease
+ * is acknowledged or released.
+ */
+const fs = require('fs');
+const bali = require('bali-component-framework');
+const EOF = '\n';
+
+// the in-memory storage for each remote repository is shared by all clients in the process
+const STORAGES = new Map();
+
+
+/**
+ * This function extends the specified local document repository with the optional
+ * capabilities, storing their index in the specified local directory.
+ *
+ * @param {Object} repository An object that implements the document repository API.
+ * @param {String} directory The local directory in which the repository is stored.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} An object that implements the extended document repository API.
+ */
+exports.local = function(repository, directory, debug) {
+    debug = debug || false;
+    if (!directory.endsWith('/')) directory += '/';
+    const storage = createFileStorage(directory + 'extensions/', debug);
+    return extendRepository(repository, storage, debug);
+};
+
+
+/**
+ * This function extends the specified remote document repository with the optional
+ * capabilities. If a local directory is specified their index is stored in it, so that
+ * leased messages survive a restart of the process, otherwise the index is kept in memory.
+ *
+ * @param {Object} repository An object that implements the document repository API.
+ * @param {String} directory An optional local directory in which to store the index. The
+ * debug flag may be passed in its place, e.g. remote(repository, true).
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} An object that implements the extended document repository API.
+ */
+exports.remote = function(repository, directory, debug) {
+    if (typeof directory === 'boolean') {
+        debug = directory;
+        directory = undefined;
+    }
+    debug = debug || false;
+    if (directory) return exports.local(repository, directory, debug);
+    const uri = repository.getURI().toString();
+    if (!STORAGES.has(uri)) STORAGES.set(uri, createMemoryStorage(debug));
+    return extendRepository(repository, STORAGES.get(uri), debug);
+};
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function returns an object that delegates to the specified document repository and
+ * implements the optional capabilities using the specified index storage.
+ *
+ * @param {Object} repository The document repository being extended.
+ * @param {Object} storage The storage for the index.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} The extended document repository.
+ */
+const extendRepository = function(repository, storage, debug) {
+    const extended = Object.create(repository);
+
+    /**
+     * This function associates the specified name with the specified document citation and
+     * records the name in the index.
+     *
+     * @param {Name} name The globally unique name.
+     * @param {Catalog} citation The document citation.
+     */
+    extended.createCitation = async function(name, citation) {
+        await repository.createCitation(name, citation);
+        await storage.writeEntry('names' + name, citation.toString());
+    };
+
+    /**
+     * This function lists, in order, the names that are direct children of the specified
+     * namespace. The name of each child namespace ends with a '/'. A name that is both
+     * associated with a citation and a namespace is listed twice.
+     *
+     * @param {String} namespace The namespace, e.g. '/acme/types/'.
+     * @param {Number} offset The optional number of child names to be skipped.
+     * @param {Number} limit The optional maximum number of child names to be listed.
+     * @returns {Array} An array containing the child names as strings.
+     */
+    extended.listNames = async function(namespace, offset, limit) {
+        if (!namespace.endsWith('/')) namespace += '/';
+        offset = offset || 0;
+        const children = await storage.listEntries('names' + namespace);
+        return children.slice(offset, limit ? offset + limit : undefined).map(function(child) {
+            return namespace + child;
+        });
+    };
+
+    /**
+     * This function saves the specified draft document and records its certificate tag,
+     * type and tag in the index.
+     *
+     * @param {String} draftId The unique identifier for the draft document.
+     * @param {Catalog} draft The notarized draft document.
+     */
+    extended.saveDraft = async function(draftId, draft) {
+        await repository.saveDraft(draftId, draft);
+        const parameters = draft.getValue('$component').getParameters();
+        const entry = bali.catalog({
+            $certificate: draft.getValue('$certificate').getValue('$tag'),
+            $type: parameters.getValue('$type') || bali.pattern.NONE,
+            $tag: parameters.getValue('$tag')
+        });
+        await storage.writeEntry('drafts/' + draftId, entry.toString());
+    };
+
+    /**
+     * This function deletes the specified draft document and removes it from the index.
+     *
+     * @param {String} draftId The unique identifier for the draft document.
+     */
+    extended.deleteDraft = async function(draftId) {
+        await repository.deleteDraft(draftId);
+        await storage.deleteEntry('drafts/' + draftId);
+    };
+
+    /**
+     * This function lists the draft documents whose indexed attributes match each of the
+     * attributes in the specified filter, e.g.
+     * <code>[$certificate: #BRTLGJ6S..., $type: /acme/types/Order/v1]</code>.
+     *
+     * @param {Catalog} filter An optional catalog containing the certificate tag, type
+     * and/or tag of the draft documents to be listed.
+     * @returns {Array} An array containing the unique identifiers of the matching draft
+     * documents.
+     */
+    extended.listDrafts = async function(filter) {
+        const draftIds = [];
+        const children = await storage.listEntries('drafts/');
+        for (var i = 0; i < children.length; i++) {
+            if (children[i].endsWith('/')) continue;
+            const source = await storage.readEntry('drafts/' + children[i]);
+            if (!source) continue;  // the draft was deleted after it was listed
+            if (matches(bali.parse(source), filter)) draftIds.push(children[i]);
+        }
+        return draftIds;
+    };
+
+    /**
+     * This function adds the specified message to the specified queue and records it in
+     * the index (by the tag and version of its component) until it is removed.
+     *
+     * @param {String} queueId The unique identifier for the queue.
+     * @param {Catalog} message The notarized message.
+     */
+    extended.queueMessage = async function(queueId, message) {
+        await repository.queueMessage(queueId, message);
+        await storage.writeEntry(messagePath(queueId, message), message.toString());
+    };
+
+    /**
+     * This function removes the next message from the specified queue. A leased message
+     * whose lease has expired is returned to the queue ahead of the other messages.
+     *
+     * @param {String} queueId The unique identifier for the queue.
+     * @returns {String} The canonical source for the message, or undefined if the queue
+     * is empty.
+     */
+    extended.dequeueMessage = async function(queueId) {
+        const lease = await claimExpiredLease(queueId);
+        var message = lease ? lease.getValue('$message') : undefined;
+        if (!message) {
+            const source = await repository.dequeueMessage(queueId);
+            if (!source) return;
+            message = bali.parse(source);
+        }
+        await storage.deleteEntry(messagePath(queueId, message));
+        return message.toString();
+    };
+
+    /**
+     * This function lists, without removing them, the messages that are on the specified
+     * queue, including any that are currently leased.
+     *
+     * @param {String} queueId The unique identifier for the queue.
+     * @returns {Array} An array containing the canonical source for each message.
+     */
+    extended.listMessages = async function(queueId) {
+        const sources = [];
+        const children = await storage.listEntries('queues/' + queueId + '/');
+        for (var i = 0; i < children.length; i++) {
+            const source = await storage.readEntry('queues/' + queueId + '/' + children[i]);
+            if (source) sources.push(source);  // the message may have been removed since
+        }
+        return sources;
+    };
+
+    /**
+     * This function leases the next message from the specified queue for the specified
+     * number of seconds. The message is removed from the queue and recorded in the index
+     * along with the number of times it has been delivered, and it is returned to the
+     * queue if the lease expires before the message is acknowledged. The lease has the
+     * following form:
+     * <pre>
+     * [
+     *     $message: <the notarized message>
+     *     $handle: <the unique tag identifying the lease>
+     *     $expires: <the moment at which the lease expires>
+     *     $deliveries: <the number of times the message has been leased>
+     * ]
+     * </pre>
+     *
+     * @param {String} queueId The unique identifier for the queue.
+     * @param {Number} seconds The number of seconds for which the message is leased.
+     * @returns {String} The canonical source for the lease, or undefined if the queue is
+     * empty.
+     */
+    extended.leaseMessage = async function(queueId, seconds) {
+        var message, deliveries;
+        const expired = await claimExpiredLease(queueId);
+        if (expired) {
+            message = expired.getValue('$message');
+            deliveries = Number(expired.getValue('$deliveries').toString()) + 1;
+        } else {
+            const source = await repository.dequeueMessage(queueId);
+            if (!source) return;
+            message = bali.parse(source);
+            deliveries = 1;
+        }
+        const lease = bali.catalog({
+            $message: message,
+            $handle: bali.tag(),
+            $expires: bali.moment(Date.now() + seconds * 1000),
+            $deliveries: deliveries
+        });
+        await storage.writeEntry(leasePath(queueId, lease.getValue('$handle').getValue()), lease.toString());
+        return lease.toString();
+    };
+
+    /**
+     * This function acknowledges that the message associated with the specified lease has
+     * been processed, and removes its lease from the index.
+     *
+     * @param {String} queueId The unique identifier for the queue.
+     * @param {String} handle The unique identifier for the lease.
+     * @returns {Boolean} Whether or not the lease was still active.
+     */
+    extended.acknowledgeMessage = async function(queueId, handle) {
+        const lease = await readLease(queueId, handle);
+        if (!lease || isExpired(lease)) return false;
+        if (!(await storage.deleteEntry(leasePath(queueId, handle)))) return false;
+        await storage.deleteEntry(messagePath(queueId, lease.getValue('$message')));
+        return true;
+    };
+
+    /**
+     * This function releases the specified lease, returning its message to the end of the
+     * queue without counting it as delivered.
+     *
+     * @param {String} queueId The unique identifier for the queue.
+     * @param {String} handle The unique identifier for the lease.
+     * @returns {Boolean} Whether or not the lease was released.
+     */
+    extended.releaseMessage = async function(queueId, handle) {
+        const lease = await readLease(queueId, handle);
+        if (!lease || !(await storage.deleteEntry(leasePath(queueId, handle)))) return false;
+        await repository.queueMessage(queueId, lease.getValue('$message'));
+        return true;
+    };
+
+    /**
+     * This function extends the specified lease for the specified number of seconds from
+     * now.
+     *
+     * @param {String} queueId The unique identifier for the queue.
+     * @param {String} handle The unique identifier for the lease.
+     * @param {Number} seconds The number of seconds for which to extend the lease.
+     * @returns {String} The canonical source for the moment at which the extended lease
+     * expires, or undefined if the lease is no longer active.
+     */
+    extended.extendLease = async function(queueId, handle, seconds) {
+        const lease = await readLease(queueId, handle);
+        if (!lease || isExpired(lease)) return;
+        lease.setValue('$expires', bali.moment(Date.now() + seconds * 1000));
+        await storage.writeEntry(leasePath(queueId, handle), lease.toString());
+        return lease.getValue('$expires').toString();
+    };
+
+    const messagePath = function(queueId, message) {
+        const parameters = message.getValue('$component').getParameters();
+        return 'queues/' + queueId + '/' + parameters.getValue('$tag').getValue() + parameters.getValue('$version');
+    };
+
+    const leasePath = function(queueId, handle) {
+        return 'leases/' + queueId + '/' + handle;
+    };
+
+    const readLease = async function(queueId, handle) {
+        const source = await storage.readEntry(leasePath(queueId, handle));
+        if (source) return bali.parse(source);
+    };
+
+    // an expired lease is claimed by whichever client manages to delete it first
+    const claimExpiredLease = async function(queueId) {
+        const handles = await storage.listEntries('leases/' + queueId + '/');
+        for (var i = 0; i < handles.length; i++) {
+            const lease = await readLease(queueId, handles[i]);
+            if (lease && isExpired(lease) && await storage.deleteEntry(leasePath(queueId, handles[i]))) {
+                return lease;
+            }
+        }
+    };
+
+    return extended;
+};
+
+
+/**
+ * This function determines whether or not the specified lease has expired.
+ *
+ * @param {Catalog} lease The lease.
+ * @returns {Boolean} Whether or not the lease has expired.
+ */
+const isExpired = function(lease) {
+    return lease.getValue('$expires').comparedTo(bali.moment()) <= 0;
+};
+
+
+/**
+ * This function determines whether or not each attribute in the specified filter has the
+ * same value in the specified index entry.
+ *
+ * @param {Catalog} entry The index entry.
+ * @param {Catalog} filter An optional catalog containing the attributes to be matched.
+ * @returns {Boolean} Whether or not the index entry matches the filter.
+ */
+const matches = function(entry, filter) {
+    if (!filter) return true;
+    const iterator = filter.getIterator();
+    while (iterator.hasNext()) {
+        const association = iterator.getNext();
+        const value = entry.getValue(association.getKey());
+        if (!value || !value.isEqualTo(association.getValue())) return false;
+    }
+    return true;
+};
+
+
+/**
+ * This function creates a storage mechanism for the index entries residing in the specified
+ * local directory. Each entry is stored in its own file, and the entries are organized
+ * hierarchically by their paths. When the entries in a folder are listed, the name of each
+ * nested folder ends with a '/'. Deleting an entry reports whether or not it still existed,
+ * so only one client can claim an entry by deleting it.
+ *
+ * @param {String} directory The local directory in which to store the index entries.
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} A new storage mechanism.
+ */
+const createFileStorage = function(directory, debug) {
+
+    const fileName = function(path) {
+        return directory + path + '.bali';
+    };
+
+    return {
+
+        readEntry: async function(path) {
+            try {
+                return await fs.promises.readFile(fileName(path), 'utf8');
+            } catch (cause) {
+                if (cause.code === 'ENOENT') return;
+                const exception = bali.exception({
+                    $module: '/bali/services/RepositoryExtensions',
+                    $procedure: '$readEntry',
+                    $exception: '$unexpected',
+                    $path: bali.text(path),
+                    $text: bali.text('An unexpected error occurred while attempting to read an index entry.')
+                }, cause);
+                if (debug) console.error(exception.toString());
+                throw exception;
+            }
+        },
+
+        writeEntry: async function(path, source) {
+            const file = fileName(path);
+            await fs.promises.mkdir(file.slice(0, file.lastIndexOf('/')), {recursive: true});
+            await fs.promises.writeFile(file, source + EOF, 'utf8');
+        },
+
+        deleteEntry: async function(path) {
+            return await fs.promises.unlink(fileName(path)).then(function() {
+                return true;
+            }, function() {
+                return false;  // the entry was already deleted
+            });
+        },
+
+        listEntries: async function(path) {
+            const files = await fs.promises.readdir(directory + path, {withFileTypes: true}).catch(function() { return []; });
+            const children = [];
+            files.forEach(function(file) {
+                if (file.isDirectory()) children.push(file.name + '/');
+                else if (file.name.endsWith('.bali')) children.push(file.name.slice(0, -5));
+            });
+            return children.sort();
+        }
+
+    };
+};
+
+
+/**
+ * This function creates a storage mechanism for the index entries residing in memory. It
+ * organizes the entries in the same way as the local storage mechanism.
+ *
+ * @param {Boolean} debug An optional flag that determines whether or not exceptions
+ * will be logged to the error console.
+ * @returns {Object} A new storage mechanism.
+ */
+const createMemoryStorage = function(debug) {
+    const entries = new Map();
+
+    return {
+
+        readEntry: async function(path) {
+            return entries.get(path);
+        },
+
+        writeEntry: async function(path, source) {
+            entries.set(path, source);
+        },
+
+        deleteEntry: async function(path) {
+            return entries.delete(path);
+        },
+
+        listEntries: async function(path) {
+            const children = new Set();
+            entries.forEach(function(source, key) {
+                if (!key.startsWith(path)) return;
+                const rest = key.slice(path.length);
+                children.add(rest.includes('/') ? rest.slice(0, rest.indexOf('/') + 1) : rest);
+            });
+            return Array.from(children).sort();
+        }
+
+    };
+};
+
@@ -19,18 +19,18 @@ const securityModule = require('bali-digital-notary').ssm(directory + account, d
 const notary = require('bali-digital-notary').api(securityModule, account, directory, debug);
 const repository = require('bali-document-repository').local(directory, debug);
 const compiler = require('bali-procedure-compiler').api(debug);
-const nebula = require('../').api(notary, repository, compiler, debug);
+const nebula = require('../').api(notary, repository, compiler, {}, debug);
 
 
 describe('Bali Nebula™ API - Compiler API', function() {
 
     describe('Initialize the environment', function() {
 
-        it('should generate a new key pair and store the certificate in the repository', async function() {
-            const certificate = await notary.generateKey();
-            const citation = await notary.getCitation();
-            const certificateId = '' + citation.getValue('$tag').getValue() + citation.getValue('$version');
-            await repository.createDocument(certificateId, certificate);
+        it('should register and activate a new account', async function() {
+            const certificate = await nebula.registerAccount(bali.catalog({
+                $name: bali.text('Compiler')
+            }));
+            await nebula.activateAccount(certificate);
         });
 
     });
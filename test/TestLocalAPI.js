@@ -20,6 +20,7 @@ const notary = require('bali-digital-notary').api;
 const repository = require('bali-document-repository').local;
 const compiler = require('bali-procedure-compiler').api(debug);
 const nebula = require('../index').api;
+const extensions = require('../index').extensions;
 
 
 function extractId(component) {
@@ -29,6 +30,14 @@ function extractId(component) {
     return '' + identifier + version;
 }
 
+function causedBy(exception, code) {
+    while (exception) {
+        if (exception.getAttributes && exception.getAttributes().getValue('$exception').toString() === code) return true;
+        exception = exception.cause;
+    }
+    return false;
+}
+
 describe('Bali Nebula™ API - Local API', function() {
     var consumerNotary;
     var consumerRepository;
@@ -38,6 +47,9 @@ describe('Bali Nebula™ API - Local API', function() {
     var merchantRepository;
     var merchantClient;
     var merchantCertificate;
+    var retiredCitation;
+    var victimNotary;
+    var victimClient;
 
     describe('Initialize Environment', function() {
 
@@ -56,33 +68,165 @@ describe('Bali Nebula™ API - Local API', function() {
         });
 
         it('should create the consumer nebula API', async function() {
-            consumerRepository = repository(directory, debug);
-            consumerClient = nebula(consumerNotary, consumerRepository, compiler, debug);
+            consumerRepository = extensions.local(repository(directory, debug), directory, debug);
+            consumerClient = nebula(consumerNotary, consumerRepository, compiler, {
+                cache: {citations: 16, documents: 16},
+                encryption: true
+            }, debug);
             expect(consumerClient).to.exist;
         });
 
         it('should create the merchant nebula API', async function() {
-            merchantRepository = repository(directory, debug);
-            merchantClient = nebula(merchantNotary, merchantRepository, compiler, debug);
+            merchantRepository = extensions.local(repository(directory, debug), directory, debug);
+            merchantClient = nebula(merchantNotary, merchantRepository, compiler, {
+                encryption: true
+            }, debug);
             expect(merchantClient).to.exist;
         });
 
-        it('should setup the digital notary for the consumer', async function() {
-            consumerCertificate = await consumerNotary.generateKey();
+        it('should not allow the consumer to use the API before activation', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.retrieveCitation(bali.parse('/bali/types/Component/v1'));
+            });
+            const messages = consumerClient.consumeQueue(bali.tag());
+            await assert.rejects(messages.next(), function(exception) {
+                return causedBy(exception, '$accountInactive');
+            });
+        });
+
+        it('should register and activate the consumer account', async function() {
+            consumerCertificate = await consumerClient.registerAccount(bali.catalog({
+                $name: bali.text('Consumer')
+            }));
             expect(consumerCertificate).to.exist;
-            const certificateId = extractId(consumerCertificate);
-            await consumerRepository.createDocument(certificateId, consumerCertificate);
+            const accountCitation = await consumerClient.activateAccount(consumerCertificate);
+            expect(accountCitation.getValue('$tag').isEqualTo(consumerNotary.getAccountTag())).to.equal(true);
         });
 
-        it('should setup the digital notary for the merchant', async function() {
-            merchantCertificate = await merchantNotary.generateKey();
-            expect(merchantCertificate).to.exist;
-            var certificateId = extractId(merchantCertificate);
-            await merchantRepository.createDocument(certificateId, merchantCertificate);
-            merchantCertificate = await merchantNotary.rotateKey();  // test regeneration
+        it('should not allow the consumer to activate the account twice', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.activateAccount(consumerCertificate);
+            });
+        });
+
+        it('should register the merchant account', async function() {
+            merchantCertificate = await merchantClient.registerAccount(bali.catalog({
+                $name: bali.text('Merchant')
+            }));
             expect(merchantCertificate).to.exist;
-            certificateId = extractId(merchantCertificate);
-            await merchantRepository.createDocument(certificateId, merchantCertificate);
+        });
+
+        it('should not allow the merchant to activate the account with the consumer certificate', async function() {
+            await assert.rejects(async function() {
+                await merchantClient.activateAccount(consumerCertificate);
+            });
+        });
+
+        it('should activate the merchant account', async function() {
+            await merchantClient.activateAccount(merchantCertificate);
+        });
+
+        it('should rotate the notary key for the merchant', async function() {
+            retiredCitation = await merchantNotary.getCitation();
+            const certificateCitation = await merchantClient.rotateKey();  // test regeneration
+            expect(certificateCitation).to.exist;
+            expect(certificateCitation.getValue('$tag').isEqualTo(retiredCitation.getValue('$tag'))).to.equal(true);
+            expect(certificateCitation.getValue('$version').isEqualTo(retiredCitation.getValue('$version'))).to.equal(false);
+        });
+
+        it('should reject a document signed with the retired merchant key', async function() {
+            const catalog = bali.catalog({
+                $foo: '"bar"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const document = await merchantNotary.signComponent(catalog);
+            document.setValue('$certificate', retiredCitation);  // claims to use the retired key
+            const citation = await merchantNotary.citeDocument(document);
+            await merchantRepository.createDocument(extractId(document), document);
+            await assert.rejects(async function() {
+                await consumerClient.retrieveDocument(citation);
+            }, function(exception) {
+                return causedBy(exception, '$certificateRetired');
+            });
+        });
+
+    });
+
+    describe('Test Accounts', function() {
+
+        it('should retrieve the activated consumer account', async function() {
+            const account = await consumerClient.retrieveAccount();
+            expect(account).to.exist;
+            expect(account.getValue('$name').toString()).to.equal('"Consumer"');
+            expect(account.getValue('$certificate')).to.exist;
+        });
+
+        it('should update the consumer account', async function() {
+            const citation = await consumerClient.updateAccount(bali.catalog({
+                $email: bali.text('consumer@example.com')
+            }));
+            expect(citation).to.exist;
+            const account = await consumerClient.retrieveAccount();
+            expect(account.getValue('$email').toString()).to.equal('"consumer@example.com"');
+            expect(account.getValue('$name').toString()).to.equal('"Consumer"');
+            expect(account.getParameters().getValue('$previous').isEqualTo(bali.pattern.NONE)).to.equal(false);
+        });
+
+        it('should not allow the consumer to change the account certificate directly', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.updateAccount(bali.catalog({
+                    $certificate: bali.pattern.NONE
+                }));
+            });
+        });
+
+        it('should ignore an account document that was not signed by the account', async function() {
+            const tag = bali.tag();
+            victimNotary = notary(ssm(directory + tag.getValue() + '.keys', false), tag, directory, false);
+            victimClient = nebula(victimNotary, consumerRepository, compiler, {encryption: true}, debug);
+            await victimClient.activateAccount(await victimClient.registerAccount(bali.catalog({
+                $name: bali.text('Victim')
+            })));
+            const forged = bali.catalog({
+                $accountTag: tag,
+                $name: bali.text('Forged'),
+                $certificate: await merchantNotary.getCitation()
+            }, bali.parameters({
+                $type: '/bali/composites/Account/v1',
+                $tag: tag,
+                $version: 'v3',
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            await merchantRepository.createDocument(tag.getValue() + 'v3', await merchantNotary.signComponent(forged));
+            const account = await victimClient.retrieveAccount();
+            expect(account.getValue('$name').toString()).to.equal('"Victim"');
+        });
+
+        it('should encrypt private documents using the certificate of the account itself', async function() {
+            const catalog = bali.catalog({
+                $secret: '"for victim eyes only"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/private/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const citation = await consumerClient.commitDocument(catalog, {recipients: [victimNotary.getAccountTag()]});
+            const document = await victimClient.retrieveDocument(citation);
+            expect(document.getValue('$secret').getValue()).to.equal('for victim eyes only');
+        });
+
+        it('should store the consumer account in encrypted form', async function() {
+            const source = await consumerRepository.fetchDocument(consumerClient.getAccountTag().getValue() + 'v3');
+            expect(source).to.not.contain('consumer@example.com');
+            const component = bali.parse(source).getValue('$component');
+            expect(component.getParameters().getValue('$type').toString()).to.equal('/bali/composites/Encrypted/v1');
+            expect(component.getValue('$certificate')).to.exist;
         });
 
     });
@@ -118,6 +262,24 @@ describe('Bali Nebula™ API - Local API', function() {
             expect(draft.getValue('$bar').toString()).to.equal('"baz"');
         });
 
+        it('should list the saved draft document', async function() {
+            const drafts = await consumerClient.listDrafts(bali.catalog({
+                $tag: draftCitation.getValue('$tag')
+            }));
+            expect(drafts.getSize()).to.equal(1);
+            const iterator = drafts.getIterator();
+            const summary = iterator.getNext();
+            expect(summary.getValue('$citation').isEqualTo(draftCitation)).to.equal(true);
+            expect(summary.getValue('$timestamp')).to.exist;
+        });
+
+        it('should not list the consumer draft document for the merchant', async function() {
+            const drafts = await merchantClient.listDrafts(bali.catalog({
+                $tag: draftCitation.getValue('$tag')
+            }));
+            expect(drafts.getSize()).to.equal(0);
+        });
+
         it('should discard the draft document in the repository', async function() {
             await consumerClient.discardDraft(draftCitation);
         });
@@ -135,6 +297,7 @@ describe('Bali Nebula™ API - Local API', function() {
         var draftSource;
         var document;
         var documentCitation;
+        var firstCitation;
 
         it('should create a new draft document from a component', async function() {
             const catalog = bali.catalog({
@@ -157,6 +320,7 @@ describe('Bali Nebula™ API - Local API', function() {
             expect(documentCitation.getValue('$version').isEqualTo(draftCitation.getValue('$version'))).to.equal(true);
             document = await consumerClient.retrieveDocument(documentCitation);
             expect(document.toString()).to.equal(draftSource);
+            firstCitation = documentCitation;
         });
 
         it('should retrieve the committed document from the repository', async function() {
@@ -185,6 +349,32 @@ describe('Bali Nebula™ API - Local API', function() {
             expect(document.getValue('$bar').toString()).to.equal('"baz"');
         });
 
+        it('should retrieve the version history of the document', async function() {
+            var history = await consumerClient.retrieveHistory(documentCitation);
+            expect(history.getValue('$versions').getSize()).to.equal(2);
+            expect(history.getValue('$next').isEqualTo(bali.pattern.NONE)).to.equal(true);
+            history = await consumerClient.retrieveHistory(documentCitation, {depth: 1});
+            expect(history.getValue('$versions').getSize()).to.equal(1);
+            history = await consumerClient.retrieveHistory(history.getValue('$next'), {depth: 1});
+            expect(history.getValue('$versions').getSize()).to.equal(1);
+            expect(history.getValue('$next').isEqualTo(bali.pattern.NONE)).to.equal(true);
+        });
+
+        it('should not retrieve the version history using an invalid depth', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.retrieveHistory(documentCitation, {depth: 1.5});
+            });
+        });
+
+        it('should compare the two versions of the document', async function() {
+            const differences = await consumerClient.compareDocuments(firstCitation, documentCitation);
+            const attributes = differences.getValue('$attributes');
+            expect(attributes.getSize()).to.equal(1);
+            const text = consumerClient.formatDifferences(differences);
+            expect(text.includes('+ $bar: "baz"')).to.equal(true);
+            expect(text.includes('~ $version: v1 -> v2')).to.equal(true);
+        });
+
         it('should checkout the latest version of the document from the repository', async function() {
             draftCitation = await consumerClient.checkoutDocument(documentCitation, 2);
             draft = await consumerClient.retrieveDraft(draftCitation);
@@ -208,6 +398,821 @@ describe('Bali Nebula™ API - Local API', function() {
 
     });
 
+    describe('Test Named Citations', function() {
+        const prefix = '/test/' + bali.tag().getValue() + '/Thing';
+        const citations = {};
+
+        it('should name several versions of a document', async function() {
+            const versions = ['v1', 'v1.2', 'v2', 'v2.1'];
+            for (var i = 0; i < versions.length; i++) {
+                const catalog = bali.catalog({
+                    $version: bali.text(versions[i])
+                }, bali.parameters({
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                const citation = await consumerClient.commitDocument(catalog);
+                await consumerClient.nameCitation(bali.parse(prefix + '/' + versions[i]), citation);
+                citations[versions[i]] = citation;
+            }
+        });
+
+        it('should retrieve the latest version of a named citation', async function() {
+            var citation = await consumerClient.retrieveCitation(bali.parse(prefix));
+            expect(citation.isEqualTo(citations['v2.1'])).to.equal(true);
+            citation = await consumerClient.retrieveCitation(bali.parse(prefix + '/vx'));
+            expect(citation.isEqualTo(citations['v2.1'])).to.equal(true);
+        });
+
+        it('should retrieve the highest version in a version range', async function() {
+            const citation = await consumerClient.retrieveCitation(bali.parse(prefix + '/v1.x'));
+            expect(citation.isEqualTo(citations['v1.2'])).to.equal(true);
+        });
+
+        it('should not resolve a version range using a repository that cannot list names', async function() {
+            const client = nebula(consumerNotary, repository(directory, debug), compiler, {}, debug);
+            var citation = await client.retrieveCitation(bali.parse(prefix + '/v1.x'));
+            expect(citation).to.not.exist;
+            citation = await client.retrieveCitation(bali.parse(prefix + '/v1.2'));
+            expect(citation.isEqualTo(citations['v1.2'])).to.equal(true);
+        });
+
+        it('should deprecate a named citation', async function() {
+            const name = bali.parse(prefix + '/v1');
+            await assert.rejects(async function() {
+                await merchantClient.deprecateName(name, bali.parse(prefix + '/v2'), bali.text('Replaced.'));
+            });
+            await consumerClient.deprecateName(name, bali.parse(prefix + '/v2'), bali.text('Replaced.'));
+            const deprecation = await consumerClient.retrieveDeprecation(name);
+            expect(deprecation.getValue('$replacement').toString()).to.equal(prefix + '/v2');
+            var citation = await consumerClient.retrieveCitation(name);
+            expect(citation.isEqualTo(citations['v1'])).to.equal(true);
+            citation = await consumerClient.retrieveCitation(name, {follow: true});
+            expect(citation.isEqualTo(citations['v2'])).to.equal(true);
+        });
+
+        it('should list the children of a namespace', async function() {
+            const parent = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+            var result = await consumerClient.listNames(parent);
+            var children = result.getValue('$children');
+            expect(children.getSize()).to.equal(1);
+            expect(children.getItem(1).getValue('$name').toString()).to.equal(prefix);
+            expect(children.getItem(1).getValue('$kind').toString()).to.equal('$namespace');
+
+            result = await consumerClient.listNames(prefix + '/', {offset: 0, limit: 3});
+            children = result.getValue('$children');
+            expect(children.getSize()).to.equal(3);
+            expect(children.getItem(1).getValue('$kind').toString()).to.equal('$citation');
+            expect(children.getItem(1).getValue('$citation').isEqualTo(citations['v1'])).to.equal(true);
+            expect(result.getValue('$next').toString()).to.equal('3');
+
+            result = await consumerClient.listNames(prefix + '/', {offset: 3, limit: 3});
+            children = result.getValue('$children');
+            expect(children.getSize()).to.equal(1);
+            expect(children.getItem(1).getValue('$citation').isEqualTo(citations['v2.1'])).to.equal(true);
+            expect(result.getValue('$next').isEqualTo(bali.pattern.NONE)).to.equal(true);
+        });
+
+        it('should not list the children of a namespace using an invalid offset', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.listNames(prefix + '/', {offset: -1});
+            });
+            await assert.rejects(async function() {
+                await consumerClient.listNames(prefix + '/', {offset: 1.5});
+            });
+        });
+
+        it('should not list the children of a namespace using an invalid limit', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.listNames(prefix + '/', {limit: 0});
+            });
+            await assert.rejects(async function() {
+                await consumerClient.listNames(prefix + '/', {limit: 2.5});
+            });
+        });
+
+    });
+
+    describe('Test Namespaces', function() {
+        const namespace = bali.parse('/test/' + bali.tag().getValue() + '/Owned');
+        var citation;
+
+        it('should allow the consumer to claim a namespace', async function() {
+            const claimCitation = await consumerClient.claimNamespace(namespace);
+            expect(claimCitation).to.exist;
+            await assert.rejects(async function() {
+                await merchantClient.claimNamespace(namespace);
+            });
+        });
+
+        it('should allow the owner to name citations within the namespace', async function() {
+            const catalog = bali.catalog({
+                $owner: bali.text('consumer')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            citation = await consumerClient.commitDocument(catalog);
+            await consumerClient.nameCitation(bali.parse(namespace + '/First/v1'), citation);
+        });
+
+        it('should not allow another account to use the namespace', async function() {
+            await assert.rejects(async function() {
+                await merchantClient.nameCitation(bali.parse(namespace + '/Second/v1'), citation);
+            });
+            await assert.rejects(async function() {
+                await merchantClient.claimNamespace(bali.parse(namespace + '/Nested'));
+            });
+            await assert.rejects(async function() {
+                await merchantClient.delegateNamespace(namespace, merchantClient.getAccountTag());
+            });
+        });
+
+        it('should not allow another account to forge a record for the namespace', async function() {
+            const name = bali.parse('/bali/claims' + namespace + '/Forged');
+            await assert.rejects(async function() {
+                await merchantClient.nameCitation(name, citation);
+            }, function(exception) {
+                return causedBy(exception, '$reservedName');
+            });
+            await assert.rejects(async function() {
+                await merchantClient.nameCitation(bali.parse('/bali/claims' + namespace), citation);
+            });
+        });
+
+        it('should allow a delegate to use the namespace', async function() {
+            await consumerClient.delegateNamespace(namespace, merchantClient.getAccountTag());
+            await merchantClient.nameCitation(bali.parse(namespace + '/Second/v1'), citation);
+            const named = await merchantClient.retrieveCitation(bali.parse(namespace + '/Second/v1'));
+            expect(named.isEqualTo(citation)).to.equal(true);
+        });
+
+    });
+
+    describe('Test Permissions', function() {
+        const permissions = bali.parse('/test/' + bali.tag().getValue() + '/permissions/v1');
+        var privateCitation;
+        var sharedCitation;
+
+        it('should commit a private document', async function() {
+            const catalog = bali.catalog({
+                $secret: '"shhh"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/private/v1',
+                $previous: bali.pattern.NONE
+            }));
+            privateCitation = await consumerClient.commitDocument(catalog);
+        });
+
+        it('should only allow the owner to access the private document', async function() {
+            const document = await consumerClient.retrieveDocument(privateCitation);
+            expect(document.getValue('$secret').getValue()).to.equal('shhh');
+            await assert.rejects(async function() {
+                await merchantClient.retrieveDocument(privateCitation);
+            });
+            await assert.rejects(async function() {
+                await merchantClient.checkoutDocument(privateCitation);
+            });
+        });
+
+        it('should store the private document in encrypted form', async function() {
+            const source = await consumerRepository.fetchDocument(privateCitation.getValue('$tag').getValue() + privateCitation.getValue('$version'));
+            expect(source).to.not.contain('shhh');
+            const component = bali.parse(source).getValue('$component');
+            expect(component.getParameters().getValue('$type').toString()).to.equal('/bali/composites/Encrypted/v1');
+        });
+
+        it('should only encrypt private documents when encryption is enabled', async function() {
+            const plainClient = nebula(consumerNotary, consumerRepository, compiler, {}, debug);
+            const catalog = bali.catalog({
+                $secret: '"in plain sight"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/private/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const citation = await plainClient.commitDocument(catalog);
+            const source = await consumerRepository.fetchDocument(citation.getValue('$tag').getValue() + citation.getValue('$version'));
+            expect(source).to.contain('in plain sight');
+            await assert.rejects(async function() {
+                await merchantClient.retrieveDocument(citation);
+            });
+        });
+
+        it('should allow the recipients of a private document to retrieve it', async function() {
+            const catalog = bali.catalog({
+                $secret: '"for merchant eyes only"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/private/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const citation = await consumerClient.commitDocument(catalog, {recipients: [merchantClient.getAccountTag()]});
+            const document = await merchantClient.retrieveDocument(citation);
+            expect(document.getValue('$secret').getValue()).to.equal('for merchant eyes only');
+        });
+
+        it('should allow access to the private document through a grant', async function() {
+            await assert.rejects(async function() {
+                await merchantClient.grantAccess(privateCitation, merchantClient.getAccountTag(), bali.parse('[$retrieve]'));
+            });
+            await consumerClient.grantAccess(privateCitation, merchantClient.getAccountTag(), bali.parse('[$retrieve]'));
+            const document = await merchantClient.retrieveDocument(privateCitation);
+            expect(document.getValue('$secret').getValue()).to.equal('shhh');
+            await assert.rejects(async function() {
+                await merchantClient.checkoutDocument(privateCitation);
+            });
+        });
+
+        it('should not allow access to the private document once the grant is revoked', async function() {
+            await consumerClient.revokeAccess(privateCitation, merchantClient.getAccountTag(), bali.text('The project ended.'));
+            await assert.rejects(async function() {
+                await merchantClient.retrieveDocument(privateCitation);
+            });
+            const grants = await consumerClient.listGrants(privateCitation);
+            expect(grants.getSize()).to.equal(2);
+        });
+
+        it('should not allow access through an expired grant', async function() {
+            const expiration = bali.moment(Date.now() - 1000);
+            await consumerClient.grantAccess(privateCitation, merchantClient.getAccountTag(), bali.parse('[$retrieve]'), expiration);
+            await assert.rejects(async function() {
+                await merchantClient.retrieveDocument(privateCitation);
+            });
+        });
+
+        it('should skip a grant record that was not issued by the owner', async function() {
+            const record = bali.catalog({
+                $document: privateCitation,
+                $grantee: merchantClient.getAccountTag(),
+                $rights: bali.parse('[$retrieve, $checkout]'),
+                $expiration: bali.pattern.NONE,
+                $key: bali.pattern.NONE,
+                $granted: bali.moment()
+            }, bali.parameters({
+                $type: '/bali/composites/Grant/v1',
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const document = await merchantNotary.signComponent(record);
+            await merchantRepository.createDocument(record.getParameters().getValue('$tag').getValue() + 'v1', document);
+            const name = '/bali/grants/' + privateCitation.getValue('$tag').getValue() + '/' +
+                privateCitation.getValue('$version') + '/' + merchantClient.getAccountTag().getValue() + '/v10';
+            await merchantRepository.createCitation(bali.parse(name), await merchantNotary.citeDocument(document));
+            await assert.rejects(async function() {
+                await merchantClient.retrieveDocument(privateCitation);
+            });
+            const grants = await consumerClient.listGrants(privateCitation);
+            expect(grants.getSize()).to.equal(3);
+            expect(grants.getItem(3).getValue('$expiration').isEqualTo(bali.pattern.NONE)).to.equal(false);
+        });
+
+        it('should commit a document governed by a custom policy', async function() {
+            const policy = bali.parse(
+                '[\n' +
+                '    $rules: [\n' +
+                '        [\n' +
+                '            $accounts: [\n' +
+                '                $owner\n' +
+                '            ]\n' +
+                '            $operations: [\n' +
+                '                $retrieve\n' +
+                '                $checkout\n' +
+                '            ]\n' +
+                '        ]\n' +
+                '        [\n' +
+                '            $accounts: [\n' +
+                '                ' + merchantClient.getAccountTag() + '\n' +
+                '            ]\n' +
+                '            $operations: [\n' +
+                '                $retrieve\n' +
+                '            ]\n' +
+                '        ]\n' +
+                '    ]\n' +
+                ']($tag: ' + bali.tag() + ', $version: v1, $permissions: /bali/permissions/public/v1, $previous: none)'
+            );
+            await consumerClient.claimNamespace(bali.parse(permissions.toString().slice(0, -'/permissions/v1'.length)));
+            await consumerClient.nameCitation(permissions, await consumerClient.commitDocument(policy));
+            const catalog = bali.catalog({
+                $shared: '"hello"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: permissions,
+                $previous: bali.pattern.NONE
+            }));
+            sharedCitation = await consumerClient.commitDocument(catalog);
+        });
+
+        it('should only allow the operations granted by the custom policy', async function() {
+            const document = await merchantClient.retrieveDocument(sharedCitation);
+            expect(document.getValue('$shared').getValue()).to.equal('hello');
+            await assert.rejects(async function() {
+                await merchantClient.checkoutDocument(sharedCitation);
+            });
+        });
+
+        it('should treat a policy that was not issued by the namespace owner as private', async function() {
+            const forged = bali.parse('/test/' + bali.tag().getValue() + '/permissions/v1');
+            const policy = bali.parse(
+                '[\n' +
+                '    $rules: [\n' +
+                '        [\n' +
+                '            $accounts: [\n' +
+                '                $any\n' +
+                '            ]\n' +
+                '            $operations: [\n' +
+                '                $retrieve\n' +
+                '            ]\n' +
+                '        ]\n' +
+                '    ]\n' +
+                ']($tag: ' + bali.tag() + ', $version: v1, $permissions: /bali/permissions/public/v1, $previous: none)'
+            );
+            await merchantClient.nameCitation(forged, await merchantClient.commitDocument(policy));
+            const catalog = bali.catalog({
+                $shared: '"not really"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: forged,
+                $previous: bali.pattern.NONE
+            }));
+            const citation = await consumerClient.commitDocument(catalog);
+            await assert.rejects(async function() {
+                await merchantClient.retrieveDocument(citation);
+            });
+        });
+
+    });
+
+    describe('Test Typed Drafts', function() {
+        const typeName = bali.parse('/test/' + bali.tag().getValue() + '/Order/v1');
+        var draft;
+
+        it('should commit and name a new type', async function() {
+            const type = bali.parse(
+                '[\n' +
+                '    $attributes: [\n' +
+                '        $product: [\n' +
+                '            $type: /bali/elements/Text/v1\n' +
+                '        ]\n' +
+                '        $quantity: [\n' +
+                '            $type: /bali/elements/Number/v1\n' +
+                '            $minimum: 1\n' +
+                '        ]\n' +
+                '        $status: [\n' +
+                '            $type: /bali/elements/Symbol/v1\n' +
+                '            $choices: [\n' +
+                '                $open\n' +
+                '                $closed\n' +
+                '            ]\n' +
+                '            $default: $open\n' +
+                '        ]\n' +
+                '    ]\n' +
+                '    $closed: true\n' +
+                ']($tag: ' + bali.tag() + ', $version: v1, $permissions: /bali/permissions/public/v1, $previous: none)'
+            );
+            const citation = await consumerClient.commitDocument(type);
+            await consumerClient.nameCitation(typeName, citation);
+        });
+
+        it('should create a draft template from the new type', async function() {
+            const template = await consumerClient.createDraft(typeName);
+            expect(template.getParameters().getValue('$type').isEqualTo(typeName)).to.equal(true);
+            expect(template.getValue('$status').toString()).to.equal('$open');
+            expect(template.getValue('$product').isEqualTo(bali.pattern.NONE)).to.equal(true);
+        });
+
+        it('should warn when a draft is created from a deprecated type', async function() {
+            const warnings = [];
+            const client = nebula(consumerNotary, consumerRepository, compiler, {
+                logger: {warn: function(message) { warnings.push(message); }}
+            }, debug);
+            const replacementName = bali.parse(typeName.toString().replace('/v1', '/v2'));
+            await client.nameCitation(replacementName, await client.retrieveCitation(typeName));
+            await client.deprecateName(typeName, replacementName, bali.text('Use the new version.'));
+            await client.createDraft(typeName);
+            expect(warnings.length).to.equal(1);
+            expect(warnings[0]).to.contain('$nameDeprecated');
+        });
+
+        it('should not create a draft template from a type that contains itself', async function() {
+            const nodeName = bali.parse('/test/' + bali.tag().getValue() + '/Node/v1');
+            const type = bali.parse(
+                '[\n' +
+                '    $attributes: [\n' +
+                '        $next: [\n' +
+                '            $type: ' + nodeName + '\n' +
+                '        ]\n' +
+                '    ]\n' +
+                ']($tag: ' + bali.tag() + ', $version: v1, $permissions: /bali/permissions/public/v1, $previous: none)'
+            );
+            const citation = await consumerClient.commitDocument(type);
+            await consumerClient.nameCitation(nodeName, citation);
+            await assert.rejects(async function() {
+                await consumerClient.createDraft(nodeName);
+            });
+        });
+
+        it('should report the violations in an invalid draft', async function() {
+            draft = bali.catalog({
+                $quantity: 0,
+                $color: '"red"'
+            }, bali.parameters({
+                $type: typeName,
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/private/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const violations = await consumerClient.validateDraft(draft);
+            expect(violations.getSize()).to.equal(3);  // missing, below minimum and additional
+        });
+
+        it('should not commit the invalid draft', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.commitDocument(draft);
+            });
+        });
+
+        it('should commit the corrected draft', async function() {
+            draft.removeValue('$color');
+            draft.setValue('$product', '"Snickers Bar"');
+            draft.setValue('$quantity', 2);
+            const violations = await consumerClient.validateDraft(draft);
+            expect(violations.getSize()).to.equal(0);
+            const citation = await consumerClient.commitDocument(draft);
+            expect(citation).to.exist;
+        });
+
+        it('should report a value that cannot be compared with its minimum', async function() {
+            const invalid = bali.catalog({
+                $product: '"Snickers Bar"',
+                $quantity: '"two"'
+            }, bali.parameters({
+                $type: typeName,
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/private/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const violations = await consumerClient.validateDraft(invalid);
+            expect(violations.getSize()).to.equal(1);
+            expect(violations.getItem(1).getValue('$violation').toString()).to.equal('$incorrectType');
+        });
+
+    });
+
+    describe('Test Merging', function() {
+        var baseCitation;
+        var firstCitation;
+        var secondCitation;
+
+        it('should checkout two drafts of the same committed document', async function() {
+            const catalog = bali.catalog({
+                $foo: '"bar"',
+                $bar: '"baz"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            baseCitation = await consumerClient.commitDocument(catalog);
+            firstCitation = await consumerClient.checkoutDocument(baseCitation, 1);
+            secondCitation = await consumerClient.checkoutDocument(baseCitation, 2);
+        });
+
+        it('should merge non-conflicting changes to the drafts', async function() {
+            var draft = await consumerClient.retrieveDraft(firstCitation);
+            draft.setValue('$foo', '"first"');
+            firstCitation = await consumerClient.saveDraft(draft);
+            draft = await consumerClient.retrieveDraft(secondCitation);
+            draft.setValue('$baz', '"second"');
+            secondCitation = await consumerClient.saveDraft(draft);
+            const result = await consumerClient.mergeDrafts(baseCitation, firstCitation, secondCitation);
+            expect(result.getValue('$conflicts').getSize()).to.equal(0);
+            firstCitation = result.getValue('$draft');
+            draft = await consumerClient.retrieveDraft(firstCitation);
+            expect(draft.getValue('$foo').toString()).to.equal('"first"');
+            expect(draft.getValue('$bar').toString()).to.equal('"baz"');
+            expect(draft.getValue('$baz').toString()).to.equal('"second"');
+        });
+
+        it('should not merge conflicting changes to the drafts', async function() {
+            const draft = await consumerClient.retrieveDraft(secondCitation);
+            draft.setValue('$foo', '"second"');
+            secondCitation = await consumerClient.saveDraft(draft);
+            await assert.rejects(async function() {
+                await consumerClient.mergeDrafts(baseCitation, firstCitation, secondCitation);
+            });
+        });
+
+        it('should resolve conflicting changes to the drafts when asked to', async function() {
+            const result = await consumerClient.mergeDrafts(baseCitation, firstCitation, secondCitation, {
+                resolve: 'second'
+            });
+            expect(result.getValue('$conflicts').getSize()).to.equal(1);
+            const draft = await consumerClient.retrieveDraft(result.getValue('$draft'));
+            expect(draft.getValue('$foo').toString()).to.equal('"second"');
+            await consumerClient.discardDraft(result.getValue('$draft'));
+            await consumerClient.discardDraft(secondCitation);
+        });
+
+        it('should not merge a draft that was checked out from another version', async function() {
+            const catalog = bali.catalog({
+                $foo: '"bar"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const citation = await consumerClient.commitDocument(catalog);
+            const first = await consumerClient.checkoutDocument(citation, 2);
+            const draft = await consumerClient.retrieveDraft(await consumerClient.checkoutDocument(citation));
+            const second = await consumerClient.checkoutDocument(await consumerClient.commitDocument(draft));
+            await assert.rejects(async function() {
+                await consumerClient.mergeDrafts(citation, first, second);
+            }, function(exception) {
+                return causedBy(exception, '$baseMismatch');
+            });
+            await consumerClient.discardDraft(first);
+            await consumerClient.discardDraft(second);
+        });
+
+    });
+
+    describe('Test Caching', function() {
+        var documentCitation;
+
+        it('should commit a document for the consumer', async function() {
+            const catalog = bali.catalog({
+                $foo: '"bar"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            documentCitation = await consumerClient.commitDocument(catalog);
+        });
+
+        it('should evict the least recently used document when the cache is full', async function() {
+            const citations = [];
+            for (var i = 0; i < 3; i++) {
+                const catalog = bali.catalog({
+                    $index: i
+                }, bali.parameters({
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                citations.push(await consumerClient.commitDocument(catalog));
+            }
+            const ids = citations.map(function(citation) {
+                return citation.getValue('$tag').getValue() + citation.getValue('$version');
+            });
+
+            // count the documents that are fetched from the repository
+            const fetches = {};
+            const countingRepository = Object.create(consumerRepository);
+            countingRepository.fetchDocument = async function(documentId) {
+                fetches[documentId] = (fetches[documentId] || 0) + 1;
+                return await consumerRepository.fetchDocument(documentId);
+            };
+            // NOTE: the consumer certificate occupies one of the three cached documents
+            const client = nebula(consumerNotary, countingRepository, compiler, {
+                cache: {documents: 3}
+            }, debug);
+            const otherClient = nebula(consumerNotary, countingRepository, compiler, {
+                cache: {documents: 3}
+            }, debug);
+
+            await client.retrieveDocument(citations[0]);
+            await client.retrieveDocument(citations[1]);
+            await client.retrieveDocument(citations[0]);  // now the most recently used
+            expect(fetches[ids[0]]).to.equal(1);
+            expect(fetches[ids[1]]).to.equal(1);
+
+            await client.retrieveDocument(citations[2]);  // the limit is reached
+            await client.retrieveDocument(citations[0]);
+            expect(fetches[ids[0]]).to.equal(1);  // still cached
+            await client.retrieveDocument(citations[1]);
+            expect(fetches[ids[1]]).to.equal(2);  // evicted
+
+            await otherClient.retrieveDocument(citations[0]);
+            expect(fetches[ids[0]]).to.equal(2);  // each client has its own cache
+        });
+
+        it('should accept the debug flag in place of the options', async function() {
+            const client = nebula(consumerNotary, consumerRepository, compiler, false);
+            const document = await client.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+        });
+
+        it('should retrieve the document again after it is invalidated', async function() {
+            await consumerClient.invalidate(documentCitation);
+            const document = await consumerClient.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+            expect(document.getValue('$foo').toString()).to.equal('"bar"');
+        });
+
+        it('should retrieve the document again after the cache is cleared', async function() {
+            await consumerClient.clearCache();
+            const document = await consumerClient.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+        });
+
+        it('should retrieve the document using a client without a cache', async function() {
+            const client = nebula(consumerNotary, consumerRepository, compiler, {
+                cache: false
+            }, debug);
+            const document = await client.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+            expect(document.getValue('$foo').toString()).to.equal('"bar"');
+        });
+
+        it('should persist the document in an on-disk cache', async function() {
+            const client = nebula(consumerNotary, consumerRepository, compiler, {
+                cache: {directory: directory + 'cache/'}
+            }, debug);
+            const document = await client.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+        });
+
+        it('should retrieve the persisted document using a new client', async function() {
+            // the document is missing from the repository so it must come from the disk
+            const documentId = documentCitation.getValue('$tag').getValue() + documentCitation.getValue('$version');
+            const emptyRepository = Object.create(consumerRepository);
+            emptyRepository.fetchDocument = async function(candidate) {
+                if (candidate === documentId) return;
+                return await consumerRepository.fetchDocument(candidate);
+            };
+            const client = nebula(consumerNotary, emptyRepository, compiler, {
+                cache: {directory: directory + 'cache/'}
+            }, debug);
+            const document = await client.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+            expect(document.getValue('$foo').toString()).to.equal('"bar"');
+            await client.clearCache();
+        });
+
+        it('should not persist a private document in an on-disk cache', async function() {
+            const client = nebula(consumerNotary, consumerRepository, compiler, {
+                cache: {directory: directory + 'cache/'}
+            }, debug);
+            const catalog = bali.catalog({
+                $secret: '"not for the disk"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/private/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const citation = await client.commitDocument(catalog);
+            expect(await client.retrieveDocument(citation)).to.exist;
+
+            // another account sharing the directory must not find the document on the disk
+            const documentId = citation.getValue('$tag').getValue() + citation.getValue('$version');
+            const emptyRepository = Object.create(merchantRepository);
+            emptyRepository.fetchDocument = async function(candidate) {
+                if (candidate === documentId) return;
+                return await merchantRepository.fetchDocument(candidate);
+            };
+            const otherClient = nebula(merchantNotary, emptyRepository, compiler, {
+                cache: {directory: directory + 'cache/'}
+            }, debug);
+            const document = await otherClient.retrieveDocument(citation);
+            expect(document).to.not.exist;
+            await client.clearCache();
+        });
+
+    });
+
+    describe('Test Key Rotation', function() {
+        var documentCitation;
+        var previousCitation;
+
+        it('should commit a document signed with the current merchant key', async function() {
+            const catalog = bali.catalog({
+                $foo: '"bar"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            documentCitation = await merchantClient.commitDocument(catalog);
+            expect(documentCitation).to.exist;
+        });
+
+        it('should rotate the notary key for the merchant again', async function() {
+            previousCitation = await merchantNotary.getCitation();
+            const certificateCitation = await merchantClient.rotateKey();
+            expect(certificateCitation).to.exist;
+        });
+
+        it('should still accept the document signed with the previous merchant key', async function() {
+            const document = await consumerClient.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+            expect(document.getValue('$foo').toString()).to.equal('"bar"');
+        });
+
+        it('should revoke the previous merchant certificate', async function() {
+            const revocationCitation = await merchantClient.revokeCertificate(previousCitation, bali.text('The key was retired.'));
+            expect(revocationCitation).to.exist;
+        });
+
+        it('should not allow the merchant to revoke the certificate twice', async function() {
+            await assert.rejects(async function() {
+                await merchantClient.revokeCertificate(previousCitation, bali.text('The key was retired.'));
+            });
+        });
+
+        it('should not allow the consumer to revoke a merchant certificate', async function() {
+            const certificateCitation = await merchantNotary.getCitation();
+            await assert.rejects(async function() {
+                await consumerClient.revokeCertificate(certificateCitation, bali.text('The key was stolen.'));
+            });
+        });
+
+        it('should still accept the document signed before the revocation', async function() {
+            const document = await merchantClient.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+        });
+
+        it('should reject a document signed after the revocation', async function() {
+            const catalog = bali.catalog({
+                $foo: '"bar"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const document = await merchantNotary.signComponent(catalog);
+            document.setValue('$certificate', previousCitation);  // claims to use the revoked key
+            const citation = await merchantNotary.citeDocument(document);
+            await merchantRepository.createDocument(extractId(document), document);
+            const client = nebula(consumerNotary, consumerRepository, compiler, {}, debug);
+            await assert.rejects(async function() {
+                await client.retrieveDocument(citation);
+            }, function(exception) {
+                return causedBy(exception, '$certificateRevoked');
+            });
+
+        it('should allow an account to revoke its current certificate', async function() {
+            const tag = bali.tag();
+            const accountNotary = notary(ssm(directory + tag.getValue() + '.keys', false), tag, directory, false);
+            const accountRepository = extensions.local(repository(directory, debug), directory, debug);
+            const accountClient = nebula(accountNotary, accountRepository, compiler, {}, debug);
+            await accountClient.activateAccount(await accountClient.registerAccount(bali.catalog({
+                $name: bali.text('Compromised')
+            })));
+            const draft = function() {
+                return bali.catalog({
+                    $foo: '"bar"'
+                }, bali.parameters({
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+            };
+            const signedCitation = await accountClient.commitDocument(draft());
+            const currentCitation = await accountNotary.getCitation();
+            await new Promise(function(resolve) { setTimeout(resolve, 10); });
+            await accountClient.revokeCertificate(currentCitation, bali.text('The key was stolen.'));
+            await new Promise(function(resolve) { setTimeout(resolve, 10); });
+
+            // the revocation record is signed using the revoked key itself
+            const client = nebula(consumerNotary, consumerRepository, compiler, {}, debug);
+            expect(await client.retrieveDocument(signedCitation)).to.exist;
+            const document = await accountNotary.signComponent(draft());
+            const forgedCitation = await accountNotary.citeDocument(document);
+            await accountRepository.createDocument(extractId(document), document);
+            await assert.rejects(async function() {
+                await client.retrieveDocument(forgedCitation);
+            }, function(exception) {
+                return causedBy(exception, '$certificateRevoked');
+            });
+        });
+        });
+
+    });
+
     describe('Test Messages', function() {
         var queue = bali.tag();
 
@@ -250,6 +1255,272 @@ describe('Bali Nebula™ API - Local API', function() {
             expect(count).to.equal(3);
         });
 
+        it('should redeliver a leased message whose lease expires', async function() {
+            const message = bali.catalog({
+                $product: bali.text('Snickers Bar')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            await consumerClient.queueMessage(queue, message);
+            var received = await merchantClient.receiveMessage(queue, {lease: 1});
+            expect(received.getValue('$message').getValue('$product').isEqualTo(message.getValue('$product'))).to.equal(true);
+            expect(await merchantClient.receiveMessage(queue, {lease: 1})).to.not.exist;  // hidden
+            await new Promise(function(resolve) { setTimeout(resolve, 1500); });
+            received = await merchantClient.receiveMessage(queue, {lease: 30});
+            expect(received).to.exist;
+            const lease = await merchantClient.extendLease(received.getValue('$lease'), 60);
+            await merchantClient.acknowledgeMessage(lease);
+            expect(await merchantClient.receiveMessage(queue)).to.not.exist;
+        });
+
+        it('should move a message that exceeds its redelivery limit to the dead-letter queue', async function() {
+            const poisonQueue = bali.tag();
+            const client = nebula(merchantNotary, merchantRepository, compiler, {
+                deadLetters: {[poisonQueue.toString()]: {limit: 1, queue: bali.tag()}}
+            }, debug);
+            const message = bali.catalog({
+                $product: bali.text('Poison Pill')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            await consumerClient.queueMessage(poisonQueue, message);
+            expect(await client.receiveMessage(poisonQueue, {lease: 1})).to.exist;
+            await new Promise(function(resolve) { setTimeout(resolve, 1500); });
+            expect(await client.receiveMessage(poisonQueue, {lease: 1})).to.not.exist;
+
+            var records = await client.listDeadLetters(poisonQueue);
+            expect(records.getSize()).to.equal(1);
+            expect(records.getItem(1).getValue('$reason').toString()).to.equal('$redeliveryLimit');
+
+            const replayed = await client.replayDeadLetters(poisonQueue);
+            expect(replayed.getSize()).to.equal(1);
+            const received = await client.receiveMessage(poisonQueue);
+            expect(received.getValue('$product').isEqualTo(message.getValue('$product'))).to.equal(true);
+            records = await client.listDeadLetters(poisonQueue);
+            expect(records.getSize()).to.equal(0);
+            const purged = await client.purgeDeadLetters(poisonQueue);
+            expect(purged.getSize()).to.equal(0);
+        });
+
+        it('should allow the consumer to send a request and receive the reply', async function() {
+            const sendQueue = bali.tag();
+            const client = nebula(consumerNotary, consumerRepository, compiler, {
+                queues: {send: sendQueue}
+            }, debug);
+            const request = bali.catalog({
+                $product: bali.text('Snickers Bar')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const pending = client.sendRequest(await merchantNotary.getCitation(), request, {timeout: 10});
+
+            // the merchant services the request
+            var received = await merchantClient.receiveMessage(sendQueue);
+            while (!received) {
+                await new Promise(function(resolve) { setTimeout(resolve, 100); });
+                received = await merchantClient.receiveMessage(sendQueue);
+            }
+            const response = bali.catalog({
+                $price: '1.25($USD)'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            await merchantClient.reply(received, response);
+
+            const reply = await pending;
+            expect(reply.getValue('$correlationId').isEqualTo(received.getValue('$correlationId'))).to.equal(true);
+            expect(reply.getValue('$price').toString()).to.equal('1.25($USD)');
+        });
+
+        it('should time out a request that receives no reply', async function() {
+            const client = nebula(consumerNotary, consumerRepository, compiler, {
+                queues: {send: bali.tag()}
+            }, debug);
+            const request = bali.catalog({
+                $product: bali.text('Snickers Bar')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            await assert.rejects(async function() {
+                await client.sendRequest(await consumerNotary.getCitation(), request, {timeout: 1});
+            }, function(exception) {
+                return causedBy(exception, '$timeout');
+            });
+        });
+
+        it('should ignore a reply that was not signed by the owner of the target', async function() {
+            const sendQueue = bali.tag();
+            const client = nebula(consumerNotary, consumerRepository, compiler, {
+                queues: {send: sendQueue}
+            }, debug);
+            const request = bali.catalog({
+                $product: bali.text('Snickers Bar')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const pending = client.sendRequest(await merchantNotary.getCitation(), request, {timeout: 2});
+
+            // the consumer forges the reply from the merchant
+            var received = await consumerClient.receiveMessage(sendQueue);
+            while (!received) {
+                await new Promise(function(resolve) { setTimeout(resolve, 100); });
+                received = await consumerClient.receiveMessage(sendQueue);
+            }
+            const response = bali.catalog({
+                $price: '0.01($USD)'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            await consumerClient.reply(received, response);
+            await assert.rejects(pending, function(exception) {
+                return causedBy(exception, '$timeout');
+            });
+        });
+
+        it('should drop an invalid reply without failing the pending request', async function() {
+            const sendQueue = bali.tag();
+            const replyQueue = bali.tag();
+            const replyRepository = Object.create(consumerRepository);
+            var invalid = true;
+            replyRepository.dequeueMessage = async function(queueId) {
+                if (queueId === replyQueue.getValue() && invalid) {
+                    invalid = false;
+                    return '[$invalid: ';  // not a valid document
+                }
+                return await consumerRepository.dequeueMessage(queueId);
+            };
+            const client = nebula(consumerNotary, replyRepository, compiler, {
+                queues: {send: sendQueue, reply: replyQueue}
+            }, debug);
+            const request = bali.catalog({
+                $product: bali.text('Snickers Bar')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const pending = client.sendRequest(await merchantNotary.getCitation(), request, {timeout: 10});
+
+            // the merchant services the request
+            var received = await merchantClient.receiveMessage(sendQueue);
+            while (!received) {
+                await new Promise(function(resolve) { setTimeout(resolve, 100); });
+                received = await merchantClient.receiveMessage(sendQueue);
+            }
+            const response = bali.catalog({
+                $price: '1.25($USD)'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            await merchantClient.reply(received, response);
+
+            const reply = await pending;
+            expect(invalid).to.equal(false);
+            expect(reply.getValue('$price').toString()).to.equal('1.25($USD)');
+        });
+
+        it('should wait for a message to arrive on an empty queue', async function() {
+            const message = bali.catalog({
+                $product: bali.text('Snickers Bar')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const queued = new Promise(function(resolve) { setTimeout(resolve, 500); }).then(function() {
+                return consumerClient.queueMessage(queue, message);
+            });
+            const received = await merchantClient.receiveMessage(queue, {wait: 5});
+            await queued;
+            expect(received.getValue('$product').isEqualTo(message.getValue('$product'))).to.equal(true);
+        });
+
+        it('should consume the messages on a queue until it is stopped', async function() {
+            for (var i = 0; i < 3; i++) {
+                await consumerClient.queueMessage(queue, bali.catalog({
+                    $index: i
+                }, bali.parameters({
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                })));
+            }
+            const controller = new AbortController();
+            setTimeout(function() { controller.abort(); }, 2000);
+            const messages = merchantClient.consumeQueue(queue, {concurrency: 2, signal: controller.signal});
+            var count = 0;
+            var result = await messages.next();
+            while (!result.done) {
+                expect(result.value.getValue('$index')).to.exist;
+                count++;
+                result = await messages.next();
+            }
+            expect(count).to.equal(3);
+        });
+
+        it('should place unconsumed messages back on the queue when consumption ends early', async function() {
+            for (var i = 0; i < 2; i++) {
+                await consumerClient.queueMessage(queue, bali.catalog({
+                    $index: i
+                }, bali.parameters({
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                })));
+            }
+            const messages = merchantClient.consumeQueue(queue, {concurrency: 2});
+            const first = await messages.next();
+            expect(first.value.getValue('$index')).to.exist;
+            await messages.return();
+            const second = await merchantClient.receiveMessage(queue, {wait: 5});
+            expect(second.getValue('$index').isEqualTo(first.value.getValue('$index'))).to.equal(false);
+            expect(await merchantClient.receiveMessage(queue)).to.not.exist;
+        });
+
+        it('should not wait for a message when the wait is zero', async function() {
+            expect(await merchantClient.receiveMessage(queue, {wait: 0})).to.not.exist;
+            await assert.rejects(async function() {
+                await merchantClient.receiveMessage(queue, {wait: -1});
+            });
+        });
+
+        it('should reject an invalid backoff', async function() {
+            expect(function() {
+                merchantClient.consumeQueue(queue, {backoff: {initial: -1}});
+            }).to.throw();
+            expect(function() {
+                merchantClient.consumeQueue(queue, {backoff: {maximum: '5'}});
+            }).to.throw();
+        });
+
     });
 
     describe('Test Events', function() {
@@ -268,6 +1539,134 @@ describe('Bali Nebula™ API - Local API', function() {
             await merchantClient.publishEvent(event);
         });
 
+        it('should publish events on an overridden event queue', async function() {
+            const queue = bali.tag();
+            const client = nebula(merchantNotary, merchantRepository, compiler, {
+                queues: {event: queue}
+            }, debug);
+            const queues = await client.retrieveQueues();
+            expect(queues.getValue('$event').isEqualTo(queue)).to.equal(true);
+            await client.publishEvent(event);
+            const received = await client.receiveMessage(queue);
+            expect(received.getValue('$transactionId').isEqualTo(event.getValue('$transactionId'))).to.equal(true);
+        });
+
+        it('should use a configuration issued by the owner of its namespace', async function() {
+            const namespace = bali.parse('/test/' + bali.tag().getValue());
+            await consumerClient.claimNamespace(namespace);
+            const queue = bali.tag();
+            const configuration = bali.catalog({
+                $event: queue
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const name = bali.parse(namespace + '/configurations/Queues/v1');
+            await consumerClient.nameCitation(name, await consumerClient.commitDocument(configuration));
+            const client = nebula(merchantNotary, merchantRepository, compiler, {
+                queues: {configuration: name}
+            }, debug);
+            const queues = await client.retrieveQueues();
+            expect(queues.getValue('$event').isEqualTo(queue)).to.equal(true);
+
+            // a configuration bound directly in the repository by another account is ignored
+            const forged = bali.catalog({
+                $event: bali.tag()
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const forgedCitation = await merchantClient.commitDocument(forged);
+            const forgedName = bali.parse(namespace + '/configurations/Queues/v2');
+            await merchantRepository.createCitation(forgedName, forgedCitation);
+            const other = nebula(consumerNotary, consumerRepository, compiler, {
+                queues: {configuration: forgedName}
+            }, debug);
+            expect((await other.retrieveQueues()).getValue('$event').isEqualTo(queue)).to.equal(false);
+        });
+
+        it('should ignore a system configuration that was not issued by its owner', async function() {
+            const configuration = bali.catalog({
+                $send: bali.tag(),
+                $event: bali.tag()
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const citation = await merchantClient.commitDocument(configuration);
+            await merchantRepository.createCitation(bali.parse('/bali/configurations/Queues/v1'), citation);
+            const client = nebula(consumerNotary, consumerRepository, compiler, {}, debug);
+            const queues = await client.retrieveQueues();
+            expect(queues.getValue('$send').isEqualTo(configuration.getValue('$send'))).to.equal(false);
+            expect(queues.getValue('$event').toString()).to.equal('#3RMGDVN7D6HLAPFXQNPF7DV71V3MAL43');
+        });
+
+    });
+
+    describe('Test Expired Drafts', function() {
+        var client;
+        var draftRepository;
+        var draftCitation;
+        const warnings = [];
+
+        it('should create a client with a short draft retention period', async function() {
+            // the drafts saved using this repository are indexed separately from the others
+            draftRepository = extensions.local(repository(directory, debug), directory + 'expired/', debug);
+            client = nebula(consumerNotary, draftRepository, compiler, {
+                drafts: {retention: 0.00001, archive: true},  // less than a second
+                logger: {warn: function(warning) { warnings.push(warning); }}
+            }, debug);
+            const draft = bali.catalog({
+                $foo: '"bar"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/private/v1',
+                $previous: bali.pattern.NONE
+            }));
+            draftCitation = await client.saveDraft(draft);
+        });
+
+        it('should save a draft document that has been tampered with', async function() {
+            const draft = bali.catalog({
+                $foo: '"bar"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            }));
+            const document = await consumerNotary.signComponent(draft);
+            document.getValue('$component').setValue('$foo', '"baz"');  // invalidates the signature
+            await draftRepository.saveDraft(extractId(document), document);
+        });
+
+        it('should archive and remove the expired draft document', async function() {
+            await new Promise(function(resolve) { setTimeout(resolve, 1500); });
+            const expired = await client.purgeExpiredDrafts();
+            expect(expired.getSize()).to.equal(1);
+            const summary = expired.getIterator().getNext();
+            expect(summary.getValue('$citation').isEqualTo(draftCitation)).to.equal(true);
+            expect(summary.getValue('$archive').isEqualTo(bali.pattern.NONE)).to.equal(false);
+            const draft = await client.retrieveDraft(draftCitation);
+            expect(draft).to.not.exist;
+        });
+
+        it('should report the draft document that failed validation', async function() {
+            expect(warnings.length).to.equal(1);
+            expect(warnings[0]).to.contain('$invalidDraft');
+        });
+
+        it('should not remove any drafts without a retention policy', async function() {
+            const expired = await consumerClient.purgeExpiredDrafts();
+            expect(expired.getSize()).to.equal(0);
+        });
 
     });
 
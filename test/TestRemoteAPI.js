@@ -18,6 +18,7 @@ const bali = require('bali-component-framework');
 const notary = require('bali-digital-notary');
 const repository = require('bali-document-repository').remote;
 const api = require('../').api;
+const extensions = require('../').extensions;
 const url = bali.reference('https://bali-nebula.net/repository/');
 
 function extractId(component) {
@@ -54,33 +55,91 @@ describe('Bali Nebula™ API - Remote API', function() {
         });
 
         it('should create the consumer nebula API', async function() {
-            consumerRepository = repository(consumerNotary, url, debug);
+            consumerRepository = extensions.remote(repository(consumerNotary, url, debug), debug);
             consumerClient = api(consumerNotary, consumerRepository, debug);
             expect(consumerClient).to.exist;
         });
 
         it('should create the merchant nebula API', async function() {
-            merchantRepository = repository(merchantNotary, url, debug);
+            merchantRepository = extensions.remote(repository(merchantNotary, url, debug), debug);
             merchantClient = api(merchantNotary, merchantRepository, debug);
             expect(merchantClient).to.exist;
         });
 
-        it('should setup the digital notary for the consumer', async function() {
-            consumerCertificate = await consumerNotary.generateKey();
+        it('should not allow the consumer to use the API before activation', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.retrieveCitation(bali.parse('/bali/types/Component/v1'));
+            });
+        });
+
+        it('should register and activate the consumer account', async function() {
+            consumerCertificate = await consumerClient.registerAccount(bali.catalog({
+                $name: bali.text('Consumer')
+            }));
             expect(consumerCertificate).to.exist;
-            const certificateId = extractId(consumerCertificate);
-            await consumerRepository.createDocument(certificateId, consumerCertificate);
+            const accountCitation = await consumerClient.activateAccount(consumerCertificate);
+            expect(accountCitation.getValue('$tag').isEqualTo(consumerNotary.getAccountTag())).to.equal(true);
         });
 
-        it('should setup the digital notary for the merchant', async function() {
-            merchantCertificate = await merchantNotary.generateKey();
-            expect(merchantCertificate).to.exist;
-            var certificateId = extractId(merchantCertificate);
-            await merchantRepository.createDocument(certificateId, merchantCertificate);
-            merchantCertificate = await merchantNotary.rotateKey();  // test regeneration
+        it('should not allow the consumer to activate the account twice', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.activateAccount(consumerCertificate);
+            });
+        });
+
+        it('should register the merchant account', async function() {
+            merchantCertificate = await merchantClient.registerAccount(bali.catalog({
+                $name: bali.text('Merchant')
+            }));
             expect(merchantCertificate).to.exist;
-            certificateId = extractId(merchantCertificate);
-            await merchantRepository.createDocument(certificateId, merchantCertificate);
+        });
+
+        it('should not allow the merchant to activate the account with the consumer certificate', async function() {
+            await assert.rejects(async function() {
+                await merchantClient.activateAccount(consumerCertificate);
+            });
+        });
+
+        it('should activate the merchant account', async function() {
+            await merchantClient.activateAccount(merchantCertificate);
+        });
+
+        it('should rotate the notary key for the merchant', async function() {
+            const previousCitation = await merchantNotary.getCitation();
+            const certificateCitation = await merchantClient.rotateKey();  // test regeneration
+            expect(certificateCitation).to.exist;
+            expect(certificateCitation.getValue('$tag').isEqualTo(previousCitation.getValue('$tag'))).to.equal(true);
+            expect(certificateCitation.getValue('$version').isEqualTo(previousCitation.getValue('$version'))).to.equal(false);
+        });
+
+    });
+
+    describe('Test Accounts', function() {
+
+        it('should retrieve the activated consumer account', async function() {
+            const account = await consumerClient.retrieveAccount();
+            expect(account).to.exist;
+            expect(account.getValue('$name').toString()).to.equal('"Consumer"');
+            expect(account.getValue('$certificate')).to.exist;
+        });
+
+        it('should update the consumer account', async function() {
+            const citation = await consumerClient.updateAccount(bali.catalog({
+                $email: bali.text('consumer@example.com')
+            }));
+            expect(citation).to.exist;
+            const account = await consumerClient.retrieveAccount();
+            expect(account.getValue('$email').toString()).to.equal('"consumer@example.com"');
+            expect(account.getValue('$name').toString()).to.equal('"Consumer"');
+            expect(account.getParameters().getValue('$previous').isEqualTo(bali.pattern.NONE)).to.equal(false);
+        });
+
+        it('should not allow the consumer to change the account certificate directly', async function() {
+            await assert.rejects(async function() {
+                await consumerClient.updateAccount(bali.catalog({
+                    $certificate: bali.pattern.NONE
+                }));
+            });
         });
 
     });
@@ -116,6 +175,24 @@ describe('Bali Nebula™ API - Remote API', function() {
             expect(draft.getValue('$bar').toString()).to.equal('"baz"');
         });
 
+        it('should list the saved draft document', async function() {
+            const drafts = await consumerClient.listDrafts(bali.catalog({
+                $tag: draftCitation.getValue('$tag')
+            }));
+            expect(drafts.getSize()).to.equal(1);
+            const iterator = drafts.getIterator();
+            const summary = iterator.getNext();
+            expect(summary.getValue('$citation').isEqualTo(draftCitation)).to.equal(true);
+            expect(summary.getValue('$timestamp')).to.exist;
+        });
+
+        it('should not list the consumer draft document for the merchant', async function() {
+            const drafts = await merchantClient.listDrafts(bali.catalog({
+                $tag: draftCitation.getValue('$tag')
+            }));
+            expect(drafts.getSize()).to.equal(0);
+        });
+
         it('should discard the draft document in the repository', async function() {
             await consumerClient.discardDraft(draftCitation);
         });
@@ -133,6 +210,7 @@ describe('Bali Nebula™ API - Remote API', function() {
         var draftSource;
         var document;
         var documentCitation;
+        var firstCitation;
 
         it('should create a new draft document from a component', async function() {
             const catalog = bali.catalog({
@@ -155,6 +233,7 @@ describe('Bali Nebula™ API - Remote API', function() {
             expect(documentCitation.getValue('$version').isEqualTo(draftCitation.getValue('$version'))).to.equal(true);
             document = await consumerClient.retrieveDocument(documentCitation);
             expect(document.toString()).to.equal(draftSource);
+            firstCitation = documentCitation;
         });
 
         it('should retrieve the committed document from the repository', async function() {
@@ -183,6 +262,26 @@ describe('Bali Nebula™ API - Remote API', function() {
             expect(document.getValue('$bar').toString()).to.equal('"baz"');
         });
 
+        it('should retrieve the version history of the document', async function() {
+            var history = await consumerClient.retrieveHistory(documentCitation);
+            expect(history.getValue('$versions').getSize()).to.equal(2);
+            expect(history.getValue('$next').isEqualTo(bali.pattern.NONE)).to.equal(true);
+            history = await consumerClient.retrieveHistory(documentCitation, {depth: 1});
+            expect(history.getValue('$versions').getSize()).to.equal(1);
+            history = await consumerClient.retrieveHistory(history.getValue('$next'), {depth: 1});
+            expect(history.getValue('$versions').getSize()).to.equal(1);
+            expect(history.getValue('$next').isEqualTo(bali.pattern.NONE)).to.equal(true);
+        });
+
+        it('should compare the two versions of the document', async function() {
+            const differences = await consumerClient.compareDocuments(firstCitation, documentCitation);
+            const attributes = differences.getValue('$attributes');
+            expect(attributes.getSize()).to.equal(1);
+            const text = consumerClient.formatDifferences(differences);
+            expect(text.includes('+ $bar: "baz"')).to.equal(true);
+            expect(text.includes('~ $version: v1 -> v2')).to.equal(true);
+        });
+
         it('should checkout the latest version of the document from the repository', async function() {
             draftCitation = await consumerClient.checkoutDocument(documentCitation, 2);
             draft = await consumerClient.retrieveDraft(draftCitation);
@@ -206,6 +305,160 @@ describe('Bali Nebula™ API - Remote API', function() {
 
     });
 
+    describe('Test Named Citations', function() {
+        const prefix = '/test/' + bali.tag().getValue() + '/Thing';
+        const citations = {};
+
+        it('should name several versions of a document', async function() {
+            const versions = ['v1', 'v1.2', 'v2'];
+            for (var i = 0; i < versions.length; i++) {
+                const catalog = bali.catalog({
+                    $version: bali.text(versions[i])
+                }, bali.parameters({
+                    $tag: bali.tag(),
+                    $version: bali.version(),
+                    $permissions: '/bali/permissions/public/v1',
+                    $previous: bali.pattern.NONE
+                }));
+                const citation = await consumerClient.commitDocument(catalog);
+                await consumerClient.nameCitation(bali.parse(prefix + '/' + versions[i]), citation);
+                citations[versions[i]] = citation;
+            }
+        });
+
+        it('should retrieve the highest version in a version range', async function() {
+            const citation = await consumerClient.retrieveCitation(bali.parse(prefix + '/v1.x'));
+            expect(citation.isEqualTo(citations['v1.2'])).to.equal(true);
+        });
+
+        it('should list the children of a namespace', async function() {
+            var result = await consumerClient.listNames(prefix + '/', {offset: 0, limit: 2});
+            var children = result.getValue('$children');
+            expect(children.getSize()).to.equal(2);
+            expect(children.getItem(1).getValue('$citation').isEqualTo(citations['v1'])).to.equal(true);
+            expect(result.getValue('$next').toString()).to.equal('2');
+
+            result = await merchantClient.listNames(prefix + '/', {offset: 2, limit: 2});
+            children = result.getValue('$children');
+            expect(children.getSize()).to.equal(1);
+            expect(children.getItem(1).getValue('$citation').isEqualTo(citations['v2'])).to.equal(true);
+            expect(result.getValue('$next').isEqualTo(bali.pattern.NONE)).to.equal(true);
+        });
+
+    });
+
+    describe('Test Merging', function() {
+        var baseCitation;
+        var firstCitation;
+        var secondCitation;
+
+        it('should checkout two drafts of the same committed document', async function() {
+            const catalog = bali.catalog({
+                $foo: '"bar"',
+                $bar: '"baz"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: bali.parse('/bali/permissions/public/v1'),
+                $previous: bali.pattern.NONE
+            }));
+            baseCitation = await consumerClient.commitDocument(catalog);
+            firstCitation = await consumerClient.checkoutDocument(baseCitation, 1);
+            secondCitation = await consumerClient.checkoutDocument(baseCitation, 2);
+        });
+
+        it('should merge non-conflicting changes to the drafts', async function() {
+            var draft = await consumerClient.retrieveDraft(firstCitation);
+            draft.setValue('$foo', '"first"');
+            firstCitation = await consumerClient.saveDraft(draft);
+            draft = await consumerClient.retrieveDraft(secondCitation);
+            draft.setValue('$baz', '"second"');
+            secondCitation = await consumerClient.saveDraft(draft);
+            const result = await consumerClient.mergeDrafts(baseCitation, firstCitation, secondCitation);
+            expect(result.getValue('$conflicts').getSize()).to.equal(0);
+            firstCitation = result.getValue('$draft');
+            draft = await consumerClient.retrieveDraft(firstCitation);
+            expect(draft.getValue('$foo').toString()).to.equal('"first"');
+            expect(draft.getValue('$bar').toString()).to.equal('"baz"');
+            expect(draft.getValue('$baz').toString()).to.equal('"second"');
+        });
+
+        it('should not merge conflicting changes to the drafts', async function() {
+            const draft = await consumerClient.retrieveDraft(secondCitation);
+            draft.setValue('$foo', '"second"');
+            secondCitation = await consumerClient.saveDraft(draft);
+            await assert.rejects(async function() {
+                await consumerClient.mergeDrafts(baseCitation, firstCitation, secondCitation);
+            });
+        });
+
+        it('should resolve conflicting changes to the drafts when asked to', async function() {
+            const result = await consumerClient.mergeDrafts(baseCitation, firstCitation, secondCitation, {
+                resolve: 'second'
+            });
+            expect(result.getValue('$conflicts').getSize()).to.equal(1);
+            const draft = await consumerClient.retrieveDraft(result.getValue('$draft'));
+            expect(draft.getValue('$foo').toString()).to.equal('"second"');
+            await consumerClient.discardDraft(result.getValue('$draft'));
+            await consumerClient.discardDraft(secondCitation);
+        });
+
+    });
+
+    describe('Test Key Rotation', function() {
+        var documentCitation;
+        var previousCitation;
+
+        it('should commit a document signed with the current merchant key', async function() {
+            const catalog = bali.catalog({
+                $foo: '"bar"'
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: bali.parse('/bali/permissions/public/v1'),
+                $previous: bali.pattern.NONE
+            }));
+            documentCitation = await merchantClient.commitDocument(catalog);
+            expect(documentCitation).to.exist;
+        });
+
+        it('should rotate the notary key for the merchant again', async function() {
+            previousCitation = await merchantNotary.getCitation();
+            const certificateCitation = await merchantClient.rotateKey();
+            expect(certificateCitation).to.exist;
+        });
+
+        it('should still accept the document signed with the previous merchant key', async function() {
+            const document = await consumerClient.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+            expect(document.getValue('$foo').toString()).to.equal('"bar"');
+        });
+
+        it('should revoke the previous merchant certificate', async function() {
+            const revocationCitation = await merchantClient.revokeCertificate(previousCitation, bali.text('The key was retired.'));
+            expect(revocationCitation).to.exist;
+        });
+
+        it('should not allow the merchant to revoke the certificate twice', async function() {
+            await assert.rejects(async function() {
+                await merchantClient.revokeCertificate(previousCitation, bali.text('The key was retired.'));
+            });
+        });
+
+        it('should not allow the consumer to revoke a merchant certificate', async function() {
+            const certificateCitation = await merchantNotary.getCitation();
+            await assert.rejects(async function() {
+                await consumerClient.revokeCertificate(certificateCitation, bali.text('The key was stolen.'));
+            });
+        });
+
+        it('should still accept the document signed before the revocation', async function() {
+            const document = await merchantClient.retrieveDocument(documentCitation);
+            expect(document).to.exist;
+        });
+
+    });
+
     describe('Test Messages', function() {
         var queue = bali.tag();
 
@@ -248,6 +501,32 @@ describe('Bali Nebula™ API - Remote API', function() {
             expect(count).to.equal(3);
         });
 
+        it('should redeliver a leased message after the merchant restarts', async function() {
+            const leaseQueue = bali.tag();
+            const message = bali.catalog({
+                $product: bali.text('Snickers Bar')
+            }, bali.parameters({
+                $tag: bali.tag(),
+                $version: bali.version(),
+                $permissions: bali.parse('/bali/permissions/public/v1'),
+                $previous: bali.pattern.NONE
+            }));
+            await consumerClient.queueMessage(leaseQueue, message);
+
+            // the leases are stored in a local directory so they survive a restart
+            var client = api(merchantNotary, extensions.remote(repository(merchantNotary, url, debug), directory, debug), debug);
+            var received = await client.receiveMessage(leaseQueue, {lease: 1});
+            expect(received).to.exist;
+
+            // the merchant restarts without acknowledging the message
+            client = api(merchantNotary, extensions.remote(repository(merchantNotary, url, debug), directory, debug), debug);
+            await new Promise(function(resolve) { setTimeout(resolve, 1500); });
+            received = await client.receiveMessage(leaseQueue, {lease: 30});
+            expect(received).to.exist;
+            expect(received.getValue('$message').getValue('$product').isEqualTo(message.getValue('$product'))).to.equal(true);
+            await client.acknowledgeMessage(received.getValue('$lease'));
+        });
+
     });
 
     describe('Test Events', function() {